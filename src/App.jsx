@@ -1,5 +1,12 @@
+import { BrowserRouter } from "react-router-dom";
 import PokerStudApp from "./PokerStudApp";
 
+// The router is only used for the query string: shared scenario links
+// (?s=…) are read and then cleared by PokerStudApp.
 export default function App() {
-  return <PokerStudApp />;
+  return (
+    <BrowserRouter>
+      <PokerStudApp />
+    </BrowserRouter>
+  );
 }
@@ -0,0 +1,100 @@
+import { makeDeck } from "../engine/cards";
+import { bestOf7, handCategory, CATEGORY_NAMES } from "../engine/evaluator";
+import { bestOf7 as legacyBestOf7, compareRank } from "./legacyEvaluator";
+
+/* ----------------------- Evaluator benchmark page ------------------------ */
+// Open /bench.html on the dev server (npm run bench). Times the legacy and
+// table evaluators on the same random 7-card hands, then checks that both
+// order every pair of hands the same way.
+
+function randomHands(count, seed = 42) {
+  let s = seed >>> 0;
+  const rand = ()=> (s = (s * 1664525 + 1013904223) >>> 0, s / 2**32);
+  const deck = makeDeck();
+  const hands = [];
+  for (let h=0;h<count;h++) {
+    const d = deck.slice();
+    for (let i=0;i<7;i++) { const j = i + Math.floor(rand()*(d.length-i)); [d[i],d[j]] = [d[j],d[i]]; }
+    hands.push(d.slice(0,7));
+  }
+  return hands;
+}
+
+// Hand-picked edge cases for every category, including the wheel.
+const FIXTURES = [
+  ["As","5d","4c","3h","2s","Kd","Qc"], // wheel
+  ["6s","5d","4c","3h","2s","Kd","Qc"], // six-high straight beats the wheel
+  ["Ah","5h","4h","3h","2h","Kd","Qc"], // steel wheel
+  ["Ah","Kh","Qh","Jh","Th","9h","2c"], // royal over K-high straight flush
+  ["9s","9d","9c","9h","Ks","Kd","2c"], // quads, best kicker
+  ["9s","9d","9c","Ks","Kd","Kc","2c"], // two trips → full house
+  ["9s","9d","9c","Ks","Kd","2s","2c"], // trips + two pairs
+  ["Ah","Jh","8h","6h","3h","2h","Kc"], // six-card flush
+  ["Qs","Qd","Jc","Jh","4s","4d","Ac"], // three pairs
+  ["Qs","Qd","Qc","8h","4s","3d","2c"], // trips
+  ["7s","7d","Ac","Kh","9s","3d","2c"], // one pair
+  ["As","Qd","Tc","8h","6s","4d","2c"], // high card
+];
+
+function timeIt(fn, hands) {
+  fn(hands[0]); // warm up
+  const t0 = performance.now();
+  for (let i=0;i<hands.length;i++) fn(hands[i]);
+  const ms = performance.now() - t0;
+  return { ms, perSec: hands.length / ms * 1000 };
+}
+
+export function runBenchmark(count = 200000) {
+  const hands = randomHands(count);
+  return {
+    count,
+    legacy: timeIt(legacyBestOf7, hands),
+    table: timeIt(bestOf7, hands),
+  };
+}
+
+export function checkOrdering(count = 20000) {
+  const hands = FIXTURES.concat(randomHands(count, 7));
+  const legacy = hands.map(h=> legacyBestOf7(h));
+  const table = hands.map(h=> bestOf7(h)); // not map(bestOf7): the index would land in `shortDeck`
+  const mismatches = [];
+  const categories = Array(9).fill(0);
+  for (let i=0;i<hands.length;i++) {
+    categories[handCategory(table[i])]++;
+    if (legacy[i][0] !== handCategory(table[i])) mismatches.push({ a: hands[i], reason: "category" });
+    const j = (i * 7919 + 1) % hands.length;
+    const want = Math.sign(compareRank(legacy[i], legacy[j]));
+    const got = Math.sign(table[i] - table[j]);
+    if (want !== got) mismatches.push({ a: hands[i], b: hands[j], reason: `order ${want} vs ${got}` });
+  }
+  // Adjacent fixtures must also agree pairwise, e.g. the wheel vs six-high.
+  for (let i=0;i<FIXTURES.length;i++) for (let j=0;j<FIXTURES.length;j++) {
+    const want = Math.sign(compareRank(legacy[i], legacy[j]));
+    if (want !== Math.sign(table[i] - table[j])) mismatches.push({ a: hands[i], b: hands[j], reason: "fixture order" });
+  }
+  return { checked: hands.length, mismatches, categories };
+}
+
+function render(root) {
+  const bench = runBenchmark();
+  const order = checkOrdering();
+  const fmt = (n)=> Math.round(n).toLocaleString();
+  root.innerHTML = `
+    <h1>Hand evaluator benchmark</h1>
+    <table>
+      <tr><th>Evaluator</th><th>Hands</th><th>ms</th><th>Hands/sec</th></tr>
+      <tr><td>Legacy rank5/bestOf7</td><td>${fmt(bench.count)}</td><td>${fmt(bench.legacy.ms)}</td><td>${fmt(bench.legacy.perSec)}</td></tr>
+      <tr><td>Table bestOf7</td><td>${fmt(bench.count)}</td><td>${fmt(bench.table.ms)}</td><td>${fmt(bench.table.perSec)}</td></tr>
+    </table>
+    <p>Speed-up: ${(bench.table.perSec / bench.legacy.perSec).toFixed(1)}×</p>
+    <h2>Ordering check</h2>
+    <p>${order.checked.toLocaleString()} hands compared: ${order.mismatches.length ? `<b>${order.mismatches.length} mismatches</b>` : "identical ordering"}</p>
+    <ul>${order.categories.map((c,i)=> `<li>${CATEGORY_NAMES[i]}: ${c.toLocaleString()}</li>`).join("")}</ul>
+    ${order.mismatches.slice(0,20).map(m=> `<pre>${m.reason}: ${m.a.join(" ")}${m.b ? " | " + m.b.join(" ") : ""}</pre>`).join("")}
+  `;
+}
+
+if (typeof document !== "undefined") {
+  const root = document.getElementById("bench");
+  if (root) { root.textContent = "Running…"; setTimeout(()=> render(root), 50); }
+}
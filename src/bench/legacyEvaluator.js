@@ -0,0 +1,62 @@
+// The original array-based evaluator, kept only as the benchmark baseline
+// and the reference ordering the table evaluator is checked against.
+import { RANK_TO_VAL, cardToObj } from "../engine/cards";
+
+/* ---------------------- 5-card and 7-card evaluators --------------------- */
+export function rank5(cards) {
+  const objs = cards.map(cardToObj).sort((a,b)=>b.rv-a.rv);
+  const ranks = objs.map(o=>o.rv);
+  const suits = objs.map(o=>o.s);
+  const countByRank = new Map();
+  for (const rv of ranks) countByRank.set(rv, (countByRank.get(rv)||0)+1);
+  const counts = [...countByRank.entries()].sort((a,b)=> b[1]-a[1] || b[0]-a[0]);
+  const isFlush = new Set(suits).size === 1;
+  const uniqRanks = [...new Set(ranks)];
+  let straightHigh = -1;
+  const sortedUniq = uniqRanks.slice().sort((a,b)=>b-a);
+  for (let i=0;i<=sortedUniq.length-5;i++) {
+    const w = sortedUniq.slice(i,i+5);
+    if (w[0]-w[4]===4) { straightHigh = w[0]; break; }
+  }
+  // Wheel A-5
+  if (straightHigh === -1 &&
+      uniqRanks.includes(RANK_TO_VAL["A"]) &&
+      uniqRanks.includes(0) && uniqRanks.includes(1) &&
+      uniqRanks.includes(2) && uniqRanks.includes(3)) straightHigh = 3;
+
+  if (isFlush && straightHigh !== -1) return [8, straightHigh];
+  if (counts[0][1] === 4) return [7, counts[0][0], counts[1][0]];
+  if (counts[0][1] === 3 && counts[1]?.[1] === 2) return [6, counts[0][0], counts[1][0]];
+  if (isFlush) return [5, ...ranks];
+  if (straightHigh !== -1) return [4, straightHigh];
+  if (counts[0][1] === 3) {
+    const kickers = counts.filter(x=>x[1]===1).map(x=>x[0]).sort((a,b)=>b-a);
+    return [3, counts[0][0], ...kickers];
+  }
+  if (counts[0][1] === 2 && counts[1]?.[1] === 2) {
+    const pairHigh = Math.max(counts[0][0], counts[1][0]);
+    const pairLow = Math.min(counts[0][0], counts[1][0]);
+    const kicker = counts.find(x=>x[1]===1)?.[0] ?? -1;
+    return [2, pairHigh, pairLow, kicker];
+  }
+  if (counts[0][1] === 2) {
+    const kickers = counts.filter(x=>x[1]===1).map(x=>x[0]).sort((a,b)=>b-a);
+    return [1, counts[0][0], ...kickers];
+  }
+  return [0, ...ranks];
+}
+export function compareRank(a,b){
+  const len = Math.max(a.length,b.length);
+  for (let i=0;i<len;i++){ const av=a[i]??-1, bv=b[i]??-1; if (av!==bv) return av-bv; }
+  return 0;
+}
+export function bestOf7(cards7) {
+  let best = null;
+  const idx = [0,1,2,3,4,5,6];
+  for (let a=0;a<3;a++) for (let b=a+1;b<4;b++) for (let c=b+1;c<5;c++) for (let d=c+1;d<6;d++) for (let e=d+1;e<7;e++) {
+    const hand = [idx[a],idx[b],idx[c],idx[d],idx[e]].map(i=>cards7[i]);
+    const r = rank5(hand);
+    if (!best || compareRank(r,best)>0) best = r;
+  }
+  return best;
+}
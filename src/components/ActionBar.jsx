@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import { BET_STREETS, potLimitMax } from "../engine/betting";
+
+const STREET_LABEL = { preflop:"Preflop", flop:"Flop", turn:"Turn", river:"River" };
+const fmt = (x)=> x == null ? "—" : `$${(Math.round(x * 100) / 100).toLocaleString()}`;
+
+function describe(a) {
+  if (a.type === "fold" || a.type === "check" || a.type === "call") return `${a.type}s`;
+  if (a.type === "post") return `posts ${fmt(a.to)}`;
+  return `${a.type}s to ${fmt(a.to)}`;
+}
+
+/**
+ * Street-by-street action entry. Actions land on the street the board is
+ * on; `tracked` is trackPot's summary of everything entered so far.
+ */
+export default function ActionBar({ players, actions, street, tracked, potLimit, onAdd, onUndo, onClear }) {
+  const [seat, setSeat] = useState(null);
+  const [amount, setAmount] = useState("");
+
+  const live = players.map((p,i)=>i).filter(i=> players[i].active && !tracked.folded[i]);
+  const last = actions[actions.length-1];
+  const after = last && last.street === street ? live.find(i=> i > last.seat) ?? live[0] : live[0];
+  const chosen = seat ?? after ?? 0;
+  const facing = tracked.bet - (tracked.streetIn[chosen] || 0);
+
+  function add(type) {
+    const a = { seat: chosen, street, type };
+    if (type === "bet" || type === "raise" || type === "post") {
+      const to = Number(amount);
+      if (!(to > 0)) return alert("Enter an amount first.");
+      a.to = to;
+    }
+    onAdd(a);
+    setSeat(null); setAmount("");
+  }
+  function sizeTo(fraction) {
+    const call = Math.max(0, facing);
+    if (potLimit && fraction === 1) {
+      const { maxTo } = potLimitMax({ pot: tracked.pot, bet: tracked.bet, yourIn: tracked.streetIn[chosen] || 0 });
+      return setAmount(String(maxTo));
+    }
+    setAmount(String(Math.round((tracked.bet + (tracked.pot + call) * fraction) * 100) / 100));
+  }
+
+  return (
+    <div className="rounded-2xl p-3 border shadow-sm bg-white dark:bg-zinc-900">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <div className="font-medium">Action • {STREET_LABEL[street]}</div>
+        <div className="ml-auto flex flex-wrap gap-3 text-sm">
+          <span>Pot <b>{fmt(tracked.pot)}</b></span>
+          <span>To call <b>{fmt(tracked.toCall)}</b></span>
+          <span>Eff. stack <b>{fmt(tracked.effective)}</b></span>
+          <span>SPR <b>{tracked.spr == null ? "—" : tracked.spr.toFixed(1)}</b></span>
+          <span>Pot odds <b>{tracked.potOdds == null ? "—" : `${(tracked.potOdds*100).toFixed(1)}%`}</b></span>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select className="px-2 py-1 rounded border" value={chosen} onChange={e=>setSeat(Number(e.target.value))}>
+          {live.map(i=> <option key={i} value={i}>Seat {i+1}{players[i].isHero ? " (You)" : ""}</option>)}
+        </select>
+        <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={()=>add("fold")}>Fold</button>
+        {facing > 0
+          ? <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={()=>add("call")}>Call {fmt(facing)}</button>
+          : <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={()=>add("check")}>Check</button>}
+        <input type="number" min="0" step="1" className="w-24 px-2 py-1 rounded border" placeholder="to $" value={amount} onChange={e=>setAmount(e.target.value)} />
+        <button className="px-2 py-1 rounded bg-zinc-100 text-xs" onClick={()=>sizeTo(0.5)}>½ pot</button>
+        <button className="px-2 py-1 rounded bg-zinc-100 text-xs" onClick={()=>sizeTo(1)}>{potLimit ? "Pot (max)" : "Pot"}</button>
+        <button className="px-3 py-1 rounded-xl bg-zinc-900 text-white" onClick={()=>add(tracked.bet > 0 ? "raise" : "bet")}>{tracked.bet > 0 ? "Raise" : "Bet"}</button>
+        {street === "preflop" && <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={()=>add("post")}>Post</button>}
+        <span className="ml-auto flex gap-1">
+          <button className="px-2 py-1 rounded bg-zinc-100 text-xs" onClick={onUndo} disabled={!actions.length}>Undo</button>
+          <button className="px-2 py-1 rounded bg-zinc-100 text-xs" onClick={onClear} disabled={!actions.length}>Clear</button>
+        </span>
+      </div>
+
+      {actions.length > 0 && (
+        <div className="mt-2 text-xs space-y-1">
+          {BET_STREETS.filter(s=> actions.some(a=>a.street === s)).map(s=> (
+            <div key={s}>
+              <span className="font-medium">{STREET_LABEL[s]}:</span>{" "}
+              {actions.filter(a=>a.street === s).map(a=> `Seat ${a.seat+1} ${describe(a)}`).join(" → ")}
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="text-[11px] text-zinc-500 mt-1">Enter the flop, turn or river to move the action to that street. Folding a seat marks it inactive.</div>
+    </div>
+  );
+}
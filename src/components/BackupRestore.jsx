@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import { SCHEMA_VERSION, makeBackup, readBackup, mergeData } from "../engine/backup";
+import { exportData, importData } from "../engine/store";
+import DownloadButton from "./DownloadButton";
+
+/**
+ * One-file backup of all app data, stamped with the schema version.
+ * Restoring validates the file, migrates older versions, then merges into
+ * or replaces this device's data and reloads so every panel picks it up.
+ */
+export default function BackupRestore() {
+  const [pending, setPending] = useState(null);
+
+  async function pick(e) {
+    const f = e.target.files[0];
+    e.target.value = "";
+    if (!f) return;
+    let parsed;
+    try { parsed = JSON.parse(await f.text()); }
+    catch { return setPending({ name: f.name, ok: false, errors: ["File isn’t valid JSON."], warnings: [] }); }
+    setPending({ name: f.name, exportedAt: parsed?.exportedAt, ...readBackup(parsed) });
+  }
+  async function restore(mode) {
+    const msg = mode === "replace"
+      ? "Replace ALL data on this device with the backup? Anything not in the backup is deleted."
+      : "Merge the backup into this device’s data?";
+    if (!confirm(msg)) return;
+    try {
+      if (mode === "replace") await importData(pending.data, true);
+      else await importData(mergeData(await exportData(), pending.data));
+    }
+    catch (err) { return alert(`Restore failed: ${err.message}`); }
+    location.reload();
+  }
+
+  return (
+    <div className="rounded-2xl p-4 border shadow-sm bg-white dark:bg-zinc-900">
+      <div className="font-semibold mb-2">Backup & Restore</div>
+      <div className="flex flex-wrap gap-2 text-sm">
+        <DownloadButton className="px-3 py-1 rounded-xl bg-zinc-900 text-white" type="application/json"
+          filename={`poker-stud-backup-${new Date().toISOString().slice(0,10)}.json`}
+          getContent={async ()=> JSON.stringify(makeBackup(await exportData()), null, 1)}>Export everything</DownloadButton>
+        <label className="px-3 py-1 rounded-xl bg-zinc-100 cursor-pointer">Restore…
+          <input type="file" accept=".json,application/json" className="hidden" onChange={pick} />
+        </label>
+      </div>
+
+      {pending && (
+        <div className="rounded-xl border p-3 mt-3 text-sm">
+          <div className="font-medium">{pending.name}</div>
+          {pending.ok ? (
+            <div className="text-xs text-zinc-500">
+              {Object.keys(pending.data).length} data sets
+              {pending.exportedAt && ` • exported ${new Date(pending.exportedAt).toLocaleString()}`}
+              {` • schema v${pending.from}`}{pending.from < SCHEMA_VERSION && ` (upgraded to v${SCHEMA_VERSION})`}
+            </div>
+          ) : (
+            <ul className="text-xs text-red-600 list-disc pl-4">{pending.errors.map((e,i)=> <li key={i}>{e}</li>)}</ul>
+          )}
+          {pending.warnings.length > 0 && <ul className="text-xs text-amber-600 list-disc pl-4 mt-1">{pending.warnings.map((w,i)=> <li key={i}>{w}</li>)}</ul>}
+          <div className="flex gap-2 mt-2">
+            {pending.ok && <>
+              <button className="px-3 py-1 rounded-xl bg-emerald-600 text-white" onClick={()=>restore("merge")}>Merge</button>
+              <button className="px-3 py-1 rounded-xl bg-red-600 text-white" onClick={()=>restore("replace")}>Replace</button>
+            </>}
+            <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={()=>setPending(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+      <div className="text-[11px] text-zinc-500 mt-2">Merge keeps this device’s settings and adds sessions, hands, players and notes from the backup.</div>
+    </div>
+  );
+}
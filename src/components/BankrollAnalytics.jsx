@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from "react";
+import {
+  LineChart, Line, BarChart, Bar, Cell, XAxis, YAxis, Tooltip,
+  ResponsiveContainer, CartesianGrid, Legend, ReferenceLine
+} from "recharts";
+import { hourlyStats, cumulativeSeries, breakdownBy, BREAKDOWNS } from "../engine/bankroll";
+
+const money = (x)=> x == null ? "—" : `${x < 0 ? "−" : ""}$${Math.abs(x).toFixed(0)}`;
+const tipMoney = (v)=> typeof v === "number" ? money(v) : v;
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded-xl bg-zinc-50 dark:bg-zinc-800 p-2">
+      <div className="text-[11px] text-zinc-500">{label}</div>
+      <div className="text-lg font-bold">{value}</div>
+    </div>
+  );
+}
+
+/**
+ * Trends over the logged sessions: cumulative profit with the running win
+ * rate, $/hr by month, and a breakdown by stakes, location, weekday or
+ * start hour. `rows` are session rows (see sessionRow), already filtered.
+ */
+export default function BankrollAnalytics({ rows }) {
+  const [dim, setDim] = useState("stakes");
+  const overall = hourlyStats(rows);
+  const series = useMemo(()=> cumulativeSeries(rows), [rows]);
+  const months = useMemo(()=> breakdownBy(rows, "month"), [rows]);
+  const groups = useMemo(()=> breakdownBy(rows, dim), [rows, dim]);
+
+  if (!rows.length) return <div className="text-sm text-zinc-500 mt-3">Log a few sessions to see trends.</div>;
+
+  return (
+    <div className="mt-3 text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <Stat label="Sessions" value={rows.length} />
+        <Stat label="Hours" value={overall.hours.toFixed(1)} />
+        <Stat label="Win rate" value={`${money(overall.winRate)}/hr`} />
+        <Stat label="Std dev" value={overall.sdHour == null ? "—" : `${money(overall.sdHour)}/hr`} />
+      </div>
+
+      <div className="font-medium mt-4 mb-1">Cumulative profit</div>
+      <div className="h-56">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={series} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="date" minTickGap={24} />
+            <YAxis yAxisId="p" tickFormatter={money} />
+            <YAxis yAxisId="h" orientation="right" tickFormatter={money} />
+            <Tooltip formatter={tipMoney} />
+            <Legend />
+            <ReferenceLine yAxisId="p" y={0} stroke="#a1a1aa" />
+            <Line yAxisId="p" type="monotone" dataKey="profit" name="Profit" stroke="#10b981" dot={false} />
+            <Line yAxisId="h" type="monotone" dataKey="hourly" name="Running $/hr" stroke="#3b82f6" strokeDasharray="4 4" dot={false} />
+            <Line yAxisId="h" type="monotone" dataKey="sdHour" name="Running SD/hr" stroke="#a855f7" strokeDasharray="2 4" dot={false} connectNulls />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="font-medium mt-4 mb-1">$/hr by month</div>
+      <div className="h-44">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={months} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="key" />
+            <YAxis tickFormatter={money} />
+            <Tooltip formatter={tipMoney} />
+            <ReferenceLine y={0} stroke="#a1a1aa" />
+            <Bar dataKey="hourly" name="$/hr">
+              {months.map(m=> <Cell key={m.key} fill={m.hourly >= 0 ? "#10b981" : "#ef4444"} />)}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="flex items-center justify-between mt-4 mb-1">
+        <div className="font-medium">Breakdown</div>
+        <select className="px-2 py-1 rounded border text-xs" value={dim} onChange={e=>setDim(e.target.value)}>
+          {Object.entries(BREAKDOWNS).filter(([k])=> k !== "month").map(([k,b])=> <option key={k} value={k}>{b.label}</option>)}
+        </select>
+      </div>
+      {groups.length === 0 ? <div className="text-xs text-zinc-500">No sessions have a {BREAKDOWNS[dim].label.toLowerCase()} yet.</div> : (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-1 pr-2">{BREAKDOWNS[dim].label}</th>
+              <th className="py-1 pr-2 text-right">Sessions</th>
+              <th className="py-1 pr-2 text-right">Hours</th>
+              <th className="py-1 pr-2 text-right">Profit</th>
+              <th className="py-1 pr-2 text-right">$/hr</th>
+              <th className="py-1 text-right">SD/hr</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map(g=> (
+              <tr key={g.key} className="border-b last:border-b-0">
+                <td className="py-1 pr-2">{g.key}</td>
+                <td className="py-1 pr-2 text-right tabular-nums">{g.count}</td>
+                <td className="py-1 pr-2 text-right tabular-nums">{g.hours.toFixed(1)}</td>
+                <td className={`py-1 pr-2 text-right tabular-nums ${g.profit < 0 ? "text-red-600" : ""}`}>{money(g.profit)}</td>
+                <td className="py-1 pr-2 text-right tabular-nums font-medium">{money(g.hourly)}</td>
+                <td className="py-1 text-right tabular-nums">{money(g.sdHour)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="text-[11px] text-zinc-500 mt-2">SD/hr needs at least two sessions with hours logged.</div>
+    </div>
+  );
+}
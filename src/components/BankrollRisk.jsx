@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from "react";
+import {
+  ComposedChart, Area, Line, XAxis, YAxis, Tooltip,
+  ResponsiveContainer, CartesianGrid, ReferenceLine
+} from "recharts";
+import useStoredValue from "../hooks/useStoredValue";
+import { STAKE_PRESETS, hourlyStats, parseStakes, distinctValues } from "../engine/bankroll";
+import { winRateInterval, bbStats, stakesRisk, simulateFutures, MAX_FUTURE_HOURS } from "../engine/risk";
+
+const money = (x)=> x == null ? "—" : !isFinite(x) ? "∞" : `${x < 0 ? "−" : ""}$${Math.abs(Math.round(x)).toLocaleString()}`;
+const pct = (x)=> x < 0.001 ? "<0.1%" : `${(x * 100).toFixed(1)}%`;
+const DEFAULTS = { targetRoR: 5, floorRoR: 15, hours: 100, drop: 0 };
+
+function Stat({ label, value, sub }) {
+  return (
+    <div className="rounded-xl bg-zinc-50 dark:bg-zinc-800 p-2">
+      <div className="text-[11px] text-zinc-500">{label}</div>
+      <div className="text-lg font-bold">{value}</div>
+      {sub && <div className="text-[11px] text-zinc-500">{sub}</div>}
+    </div>
+  );
+}
+
+/**
+ * Sample-size-aware view of the session log: confidence interval on the
+ * win rate, risk of ruin and move-up/down bankrolls per stakes, and a
+ * Monte Carlo fan of the next N hours at the chosen stakes.
+ */
+export default function BankrollRisk({ rows, bankroll, stakes }) {
+  const [settings, setSettings] = useStoredValue("psa_risk_settings", DEFAULTS);
+  const cfg = { ...DEFAULTS, ...settings };
+  const [fanStakes, setFanStakes] = useState("");
+  const set = (k)=> (e)=> setSettings(s=> ({ ...s, [k]: Number(e.target.value) }));
+  const setHours = (e)=> setSettings(s=> ({ ...s, hours: Math.min(MAX_FUTURE_HOURS, Number(e.target.value)) }));
+
+  const overall = hourlyStats(rows);
+  const ci = winRateInterval(overall);
+  const bb = useMemo(()=> bbStats(rows), [rows]);
+  const levels = useMemo(()=> [...new Set([...STAKE_PRESETS, ...distinctValues(rows, "stakes"), stakes])]
+    .filter(s=> parseStakes(s)).sort((a,b)=> parseStakes(a).bb - parseStakes(b).bb), [rows, stakes]);
+  const table = stakesRisk(levels, bb, bankroll, cfg.targetRoR / 100, cfg.floorRoR / 100);
+  const current = table.find(r=> r.stakes === stakes);
+  const next = table.find(r=> parseStakes(r.stakes).bb > parseStakes(stakes)?.bb);
+  const fan = table.find(r=> r.stakes === (fanStakes || stakes)) || table[0];
+
+  const fanRate = fan?.winRate, fanSd = fan?.sd;
+  const futures = useMemo(()=> fanSd != null ? simulateFutures({ start: bankroll, winRate: fanRate, sd: fanSd, hours: cfg.hours, drop: cfg.drop }) : null,
+    [fanRate, fanSd, bankroll, cfg.hours, cfg.drop]);
+  const fanData = futures?.series.map(r=> ({ ...r, outer: [r.p5, r.p95], inner: [r.p25, r.p75] }));
+
+  if (overall.sdHour == null) return <div className="text-sm text-zinc-500 mt-3">Needs at least two sessions with hours logged.</div>;
+
+  return (
+    <div className="mt-3 text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <Stat label="Win rate" value={`${money(overall.winRate)}/hr`} sub={`${overall.hours.toFixed(0)} hrs, ${overall.n} sessions`} />
+        <Stat label="95% interval" value={`${money(ci.low)} … ${money(ci.high)}`} sub={ci.low > 0 ? "Winning with 95% confidence" : "Can’t rule out break-even yet"} />
+        <Stat label="Std dev" value={`${money(overall.sdHour)}/hr`} sub={bb.sdHour != null ? `${bb.winRate.toFixed(1)} ± ${bb.sdHour.toFixed(0)} BB/hr` : null} />
+        <Stat label={`RoR at ${stakes}`} value={current ? pct(current.ror) : "—"} sub={`Bankroll ${money(bankroll)}`} />
+      </div>
+
+      {current && (
+        <div className="rounded-xl border p-2 mt-3 text-xs">
+          {bankroll < current.moveDown
+            ? <>Below the {cfg.floorRoR}% RoR floor for {stakes} ({money(current.moveDown)}) — <b className="text-red-600">move down</b>.</>
+            : next && bankroll >= next.moveUp
+              ? <>You have the {money(next.moveUp)} needed for {cfg.targetRoR}% RoR at {next.stakes} — <b className="text-emerald-600">OK to move up</b>.</>
+              : <>Stay at {stakes}. {next && isFinite(next.moveUp) ? `Move up to ${next.stakes} at ${money(next.moveUp)}; ` : ""}move down below {money(current.moveDown)}.</>}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3 mt-3 text-xs">
+        <label>Target RoR (%) <input type="number" min="0.1" max="50" step="0.5" className="w-16 ml-1 px-1 py-0.5 rounded border" value={cfg.targetRoR} onChange={set("targetRoR")} /></label>
+        <label>Move-down RoR (%) <input type="number" min="0.1" max="90" step="0.5" className="w-16 ml-1 px-1 py-0.5 rounded border" value={cfg.floorRoR} onChange={set("floorRoR")} /></label>
+      </div>
+      <table className="w-full text-xs mt-2">
+        <thead>
+          <tr className="text-left border-b">
+            <th className="py-1 pr-2">Stakes</th>
+            <th className="py-1 pr-2 text-right">$/hr</th>
+            <th className="py-1 pr-2 text-right">SD/hr</th>
+            <th className="py-1 pr-2 text-right">RoR now</th>
+            <th className="py-1 pr-2 text-right">Move up at</th>
+            <th className="py-1 text-right">Move down below</th>
+          </tr>
+        </thead>
+        <tbody>
+          {table.map(r=> (
+            <tr key={r.stakes} className={`border-b last:border-b-0 ${r.stakes === stakes ? "font-semibold" : ""}`}>
+              <td className="py-1 pr-2">{r.stakes}</td>
+              <td className="py-1 pr-2 text-right tabular-nums">{money(r.winRate)}</td>
+              <td className="py-1 pr-2 text-right tabular-nums">{money(r.sd)}</td>
+              <td className={`py-1 pr-2 text-right tabular-nums ${r.ror > cfg.floorRoR / 100 ? "text-red-600" : ""}`}>{pct(r.ror)}</td>
+              <td className="py-1 pr-2 text-right tabular-nums">{money(r.moveUp)}</td>
+              <td className="py-1 text-right tabular-nums">{money(r.moveDown)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {futures && (
+        <>
+          <div className="flex flex-wrap items-center justify-between gap-2 mt-4 mb-1">
+            <div className="font-medium">Possible futures</div>
+            <div className="flex flex-wrap gap-2 text-xs">
+              <select className="px-1 py-0.5 rounded border" value={fan.stakes} onChange={e=>setFanStakes(e.target.value)}>
+                {table.map(r=> <option key={r.stakes} value={r.stakes}>{r.stakes}</option>)}
+              </select>
+              <label>Hours <input type="number" min="10" max={MAX_FUTURE_HOURS} step="10" className="w-16 ml-1 px-1 py-0.5 rounded border" value={cfg.hours} onChange={setHours} /></label>
+              <label>Downswing ($) <input type="number" min="0" step="100" className="w-20 ml-1 px-1 py-0.5 rounded border" value={cfg.drop} onChange={set("drop")} /></label>
+            </div>
+          </div>
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={fanData} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="hour" />
+                <YAxis tickFormatter={money} />
+                <Tooltip formatter={(v)=> Array.isArray(v) ? `${money(v[0])} … ${money(v[1])}` : money(v)} labelFormatter={(h)=>`Hour ${h}`} />
+                <ReferenceLine y={bankroll} stroke="#a1a1aa" />
+                <Area dataKey="outer" name="5–95%" stroke="none" fill="#3b82f6" fillOpacity={0.15} isAnimationActive={false} />
+                <Area dataKey="inner" name="25–75%" stroke="none" fill="#3b82f6" fillOpacity={0.3} isAnimationActive={false} />
+                <Line dataKey="p50" name="Median" stroke="#1d4ed8" dot={false} isAnimationActive={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="text-xs text-zinc-500 mt-1">
+            Median worst downswing over {futures.hours} hrs: <b>{money(futures.medianDrawdown)}</b>
+            {cfg.drop > 0 && <> • Chance of dropping {money(cfg.drop)} at some point: <b>{pct(futures.dipChance)}</b></>}
+          </div>
+        </>
+      )}
+      <div className="text-[11px] text-zinc-500 mt-2">Other stakes assume your BB/hr edge carries over, which flatters moving up. RoR uses a normal model and a bankroll you never top up.</div>
+    </div>
+  );
+}
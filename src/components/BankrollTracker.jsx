@@ -1,99 +1,167 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useMemo, useState } from "react";
+import useStoredValue from "../hooks/useStoredValue";
+import useStoreRecords from "../hooks/useStoreRecords";
+import BankrollAnalytics from "./BankrollAnalytics";
+import BankrollRisk from "./BankrollRisk";
+import LiveSession from "./LiveSession";
+import SessionCsvImport from "./SessionCsvImport";
+import DownloadButton from "./DownloadButton";
+import {
+  HANDS_PER_HOUR, parseTags, normalizeSession, sessionRow, sessionTotals,
+  filterSessions, distinctValues, bankrollFrom
+} from "../engine/bankroll";
+import { sessionsToCsv } from "../engine/csv";
 
-function useLocalStorage(key, initial) {
-  const [val, setVal] = useState(() => {
-    try { const v = localStorage.getItem(key); return v ? JSON.parse(v) : initial; }
-    catch { return initial; }
-  });
-  useEffect(() => { try { localStorage.setItem(key, JSON.stringify(val)); } catch {} }, [key, val]);
-  return [val, setVal];
-}
+const today = ()=> new Date().toISOString().slice(0,10);
+const newestFirst = (a, b)=> (b.date || "").localeCompare(a.date || "");
+const money = (x)=> `${x < 0 ? "−" : ""}$${Math.abs(x).toFixed(2)}`;
+
+const blankForm = (stakes, game)=> ({ date: today(), start: "", hours: "", hands: "", buyIn: "", cashOut: "", stakes, game, location: "", tags: "", notes: "" });
 
-// Derive BB from stakes string like "$1/$3" or "$2/$5"
-function parseBB(stakes) {
-  try { const parts = stakes.replace(/\$/g,"").split("/"); return Number(parts[1] || 1); }
-  catch { return 1; }
+function Filters({ sessions, filter, setFilter }) {
+  const sel = (k, label, field)=> {
+    const opts = distinctValues(sessions, field);
+    return opts.length > 0 && (
+      <select className="px-2 py-1 rounded border" value={filter[k] || ""} onChange={e=>setFilter(f=> ({ ...f, [k]: e.target.value }))}>
+        <option value="">All {label}</option>
+        {opts.map(o=> <option key={o} value={o}>{o}</option>)}
+      </select>
+    );
+  };
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      {sel("stakes", "stakes", "stakes")}
+      {sel("game", "games", "game")}
+      {sel("location", "locations", "location")}
+      {sel("tag", "tags", "tags")}
+      <input type="date" className="px-2 py-1 rounded border" title="From" value={filter.from || ""} onChange={e=>setFilter(f=> ({ ...f, from: e.target.value }))} />
+      <input type="date" className="px-2 py-1 rounded border" title="To" value={filter.to || ""} onChange={e=>setFilter(f=> ({ ...f, to: e.target.value }))} />
+      {Object.values(filter).some(Boolean) && <button className="underline" onClick={()=>setFilter({})}>Clear filters</button>}
+    </div>
+  );
 }
 
-export default function BankrollTracker({ stakes }) {
-  const [bankroll, setBankroll] = useLocalStorage("psa_bankroll_total", 0);
-  const [sessions, setSessions] = useLocalStorage("psa_sessions", []); // {date, hours, buyIn, cashOut, notes, stakes}
-  const [form, setForm] = useState({ date: new Date().toISOString().slice(0,10), hours: "", buyIn: "", cashOut: "", notes: "" });
+/**
+ * Session log and bankroll, with a live session clock that logs itself.
+ * The bankroll is derived from the starting amount plus every session, so
+ * edits and deletes keep it right. Totals follow the filters (stakes,
+ * game, location, tag, date range), and so do the analytics and risk tabs.
+ */
+export default function BankrollTracker({ stakes, game = "" }) {
+  const [start, setStart] = useStoredValue("psa_bankroll_start", 0);
+  const [sessions, setSessions] = useStoreRecords("sessions", newestFirst);
+  const [form, setForm] = useState(()=> blankForm(stakes, game));
+  const [editing, setEditing] = useState(null);
+  const [filter, setFilter] = useState({});
+  const [tab, setTab] = useState("log");
+  const [importing, setImporting] = useState(false);
 
-  const bb = parseBB(stakes);
-  const rows = useMemo(() => sessions.map(s => {
-    const profit = Number(s.cashOut||0) - Number(s.buyIn||0);
-    const hourly = s.hours ? profit / Number(s.hours) : 0;
-    const bb100 = s.hours ? ( (profit / bb) / (Number(s.hours) * 30) * 100 ) : 0; // rough hands/hour 30 live
-    return { ...s, profit, hourly, bb100 };
-  }), [sessions, bb]);
+  const all = useMemo(()=> sessions.map(s=> sessionRow(normalizeSession(s))), [sessions]);
+  const rows = useMemo(()=> filterSessions(all, filter), [all, filter]);
+  const totals = sessionTotals(rows);
+  const bankroll = bankrollFrom(start, all);
+  const filtered = rows.length !== all.length;
 
-  const totals = useMemo(() => {
-    const profit = rows.reduce((a,r)=>a+r.profit,0);
-    const hours = rows.reduce((a,r)=>a+Number(r.hours||0),0);
-    return {
-      profit,
-      hours,
-      hourly: hours ? profit / hours : 0
-    };
-  }, [rows]);
+  const set = (k)=> (e)=> setForm(f=> ({ ...f, [k]: e.target.value }));
+  const input = (k, label, props = {})=> (
+    <label>{label}
+      <input className="w-full mt-1 px-2 py-1 rounded border" value={form[k]} onChange={set(k)} {...props} />
+    </label>
+  );
 
-  function addSession() {
-    const entry = { ...form, stakes, hours: Number(form.hours||0), buyIn: Number(form.buyIn||0), cashOut: Number(form.cashOut||0) };
-    setSessions(prev => [entry, ...prev]);
-    setBankroll(b => b + (entry.cashOut - entry.buyIn));
-    setForm({ date: new Date().toISOString().slice(0,10), hours: "", buyIn: "", cashOut: "", notes: "" });
+  function save() {
+    const entry = normalizeSession({ ...form, id: editing || undefined, tags: parseTags(form.tags) });
+    setSessions(prev=> editing ? prev.map(s=> s.id === editing ? entry : s) : [entry, ...prev]);
+    setEditing(null);
+    setForm(blankForm(stakes, game));
+  }
+  function edit(r) {
+    setEditing(r.id);
+    setForm({ ...r, hours: String(r.hours), hands: r.hands ? String(r.hands) : "", buyIn: String(r.buyIn), cashOut: String(r.cashOut), tags: r.tags.join(", ") });
+  }
+  function cancelEdit() {
+    setEditing(null);
+    setForm(blankForm(stakes, game));
+  }
+  function remove(r) {
+    if (!confirm(`Delete the ${r.date} session (${money(r.profit)})?`)) return;
+    setSessions(prev=> prev.filter(s=> s.id !== r.id));
+    if (editing === r.id) cancelEdit();
   }
-
   function clearAll() {
-    if (!confirm("Clear ALL sessions and bankroll?")) return;
-    setSessions([]); setBankroll(0);
+    if (!confirm("Clear ALL sessions and the starting bankroll?")) return;
+    setSessions([]); setStart(0); cancelEdit();
   }
 
   return (
     <div className="rounded-2xl p-4 border shadow-sm bg-white dark:bg-zinc-900">
       <div className="flex items-center justify-between">
         <div className="font-semibold">Bankroll & Hourly</div>
-        <div className="text-sm">Bankroll: <span className="font-bold">${bankroll.toLocaleString()}</span></div>
+        <div className="inline-flex rounded-2xl border overflow-hidden text-sm">
+          {[["log","Sessions"],["analytics","Analytics"],["risk","Risk"]].map(([k,l])=> (
+            <button key={k} className={`px-3 py-1 ${tab===k?"bg-blue-600 text-white":"bg-white dark:bg-zinc-900"}`} onClick={()=>setTab(k)}>{l}</button>
+          ))}
+        </div>
       </div>
-
-      <div className="grid grid-cols-2 gap-2 mt-3 text-sm">
-        <label className="col-span-1">Date
-          <input type="date" className="w-full mt-1 px-2 py-1 rounded border" value={form.date} onChange={e=>setForm(f=>({...f, date:e.target.value}))}/>
-        </label>
-        <label>Hours
-          <input type="number" step="0.1" className="w-full mt-1 px-2 py-1 rounded border" value={form.hours} onChange={e=>setForm(f=>({...f, hours:e.target.value}))}/>
-        </label>
-        <label>Buy-in ($)
-          <input type="number" className="w-full mt-1 px-2 py-1 rounded border" value={form.buyIn} onChange={e=>setForm(f=>({...f, buyIn:e.target.value}))}/>
-        </label>
-        <label>Cash-out ($)
-          <input type="number" className="w-full mt-1 px-2 py-1 rounded border" value={form.cashOut} onChange={e=>setForm(f=>({...f, cashOut:e.target.value}))}/>
+      <div className="flex items-center justify-between text-xs text-zinc-500 mt-1">
+        <label>Starting bankroll ($)
+          <input type="number" className="ml-2 w-28 px-2 py-0.5 rounded border" value={start} onChange={e=>setStart(Number(e.target.value) || 0)} />
         </label>
+        <div className="text-sm text-zinc-900 dark:text-zinc-100">Bankroll: <span className="font-bold">{money(bankroll)}</span></div>
+      </div>
+
+      {/* Hidden rather than unmounted on other tabs so its alerts keep firing. */}
+      <div className={tab === "log" ? "" : "hidden"}>
+        <LiveSession stakes={stakes} game={game} onEnd={(s)=> setSessions(prev=> [normalizeSession(s), ...prev])} />
+      </div>
+
+      {tab === "log" && <div className="grid grid-cols-2 gap-2 mt-3 text-sm">
+        {input("date", "Date", { type: "date" })}
+        {input("start", "Start time", { type: "time" })}
+        {input("hours", "Hours", { type: "number", step: "0.1" })}
+        {input("hands", "Hands (if counted)", { type: "number" })}
+        {input("buyIn", "Buy-in ($)", { type: "number" })}
+        {input("cashOut", "Cash-out ($)", { type: "number" })}
+        {input("stakes", "Stakes", { placeholder: "$2/$5 or $1/$3/$6", list: "psa-stakes" })}
+        {input("game", "Game", { placeholder: "NLHE, PLO…", list: "psa-games" })}
+        {input("location", "Location", { placeholder: "Casino / room / home game", list: "psa-locations" })}
+        {input("tags", "Tags", { placeholder: "comma, separated" })}
         <label className="col-span-2">Notes
-          <input className="w-full mt-1 px-2 py-1 rounded border" value={form.notes} onChange={e=>setForm(f=>({...f, notes:e.target.value}))}/>
+          <input className="w-full mt-1 px-2 py-1 rounded border" value={form.notes} onChange={set("notes")} />
         </label>
+        <datalist id="psa-stakes">{distinctValues(all, "stakes").map(v=> <option key={v} value={v} />)}</datalist>
+        <datalist id="psa-games">{distinctValues(all, "game").map(v=> <option key={v} value={v} />)}</datalist>
+        <datalist id="psa-locations">{distinctValues(all, "location").map(v=> <option key={v} value={v} />)}</datalist>
         <div className="col-span-2 flex gap-2">
-          <button className="px-3 py-2 rounded-xl bg-emerald-600 text-white" onClick={addSession}>Add Session</button>
-          <button className="px-3 py-2 rounded-xl bg-zinc-100" onClick={clearAll}>Reset</button>
+          <button className="px-3 py-2 rounded-xl bg-emerald-600 text-white" onClick={save}>{editing ? "Save Changes" : "Add Session"}</button>
+          {editing && <button className="px-3 py-2 rounded-xl bg-zinc-100" onClick={cancelEdit}>Cancel</button>}
+          <button className="px-3 py-2 rounded-xl bg-zinc-100 ml-auto" onClick={clearAll}>Reset</button>
         </div>
-      </div>
+      </div>}
 
       <div className="mt-4 text-sm">
-        <div className="font-medium mb-1">Totals</div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+          <div className="font-medium">Totals {filtered && <span className="text-xs text-zinc-500">({totals.count} of {all.length} sessions)</span>}</div>
+          <Filters sessions={all} filter={filter} setFilter={setFilter} />
+        </div>
         <div className="grid grid-cols-3 gap-2">
-          <div>Profit: <span className="font-semibold">${totals.profit.toFixed(2)}</span></div>
+          <div>Profit: <span className="font-semibold">{money(totals.profit)}</span></div>
           <div>Hours: <span className="font-semibold">{totals.hours.toFixed(1)}</span></div>
-          <div>$/hr: <span className="font-semibold">${totals.hourly.toFixed(2)}</span></div>
+          <div>$/hr: <span className="font-semibold">{money(totals.hourly)}</span></div>
         </div>
       </div>
 
-      <div className="mt-4 overflow-x-auto">
+      {tab === "analytics" && <BankrollAnalytics rows={rows} />}
+      {tab === "risk" && <BankrollRisk rows={rows} bankroll={bankroll} stakes={stakes} />}
+
+      {tab === "log" && <div className="mt-4 overflow-x-auto">
         <table className="w-full text-xs">
           <thead>
             <tr className="text-left border-b">
               <th className="py-1 pr-2">Date</th>
               <th className="py-1 pr-2">Stakes</th>
+              <th className="py-1 pr-2">Game</th>
+              <th className="py-1 pr-2">Location</th>
               <th className="py-1 pr-2">Hours</th>
               <th className="py-1 pr-2 text-right">Buy‑in</th>
               <th className="py-1 pr-2 text-right">Cash‑out</th>
@@ -101,26 +169,47 @@ export default function BankrollTracker({ stakes }) {
               <th className="py-1 pr-2 text-right">$/hr</th>
               <th className="py-1 pr-2 text-right">BB/100</th>
               <th className="py-1 pr-2">Notes</th>
+              <th className="py-1"></th>
             </tr>
           </thead>
           <tbody>
-            {rows.map((r, i)=>(
-              <tr key={i} className="border-b">
-                <td className="py-1 pr-2">{r.date}</td>
+            {rows.map(r=>(
+              <tr key={r.id} className={`border-b ${editing === r.id ? "bg-amber-50 dark:bg-zinc-800" : ""}`}>
+                <td className="py-1 pr-2 whitespace-nowrap">{r.date}</td>
                 <td className="py-1 pr-2">{r.stakes}</td>
+                <td className="py-1 pr-2">{r.game}</td>
+                <td className="py-1 pr-2">{r.location}</td>
                 <td className="py-1 pr-2">{r.hours}</td>
                 <td className="py-1 pr-2 text-right">${r.buyIn.toFixed(2)}</td>
                 <td className="py-1 pr-2 text-right">${r.cashOut.toFixed(2)}</td>
-                <td className="py-1 pr-2 text-right font-medium">${r.profit.toFixed(2)}</td>
-                <td className="py-1 pr-2 text-right">${r.hourly.toFixed(2)}</td>
-                <td className="py-1 pr-2 text-right">{r.bb100.toFixed(1)}</td>
-                <td className="py-1 pr-2">{r.notes}</td>
+                <td className="py-1 pr-2 text-right font-medium">{money(r.profit)}</td>
+                <td className="py-1 pr-2 text-right">{money(r.hourly)}</td>
+                <td className="py-1 pr-2 text-right" title={r.hands ? `${r.hands} hands counted` : "Estimated hands"}>{r.bb100.toFixed(1)}{r.hands ? "" : "*"}</td>
+                <td className="py-1 pr-2">
+                  {r.tags.map(t=> <span key={t} className="px-1 mr-1 rounded bg-zinc-100 dark:bg-zinc-800 text-[10px]">{t}</span>)}
+                  {r.notes}
+                </td>
+                <td className="py-1 whitespace-nowrap">
+                  <button className="underline mr-2" onClick={()=>edit(r)}>Edit</button>
+                  <button className="text-zinc-400 hover:text-red-600" title="Delete session" onClick={()=>remove(r)}>×</button>
+                </td>
               </tr>
             ))}
           </tbody>
         </table>
-      </div>
-      <div className="text-[11px] text-zinc-500 mt-2">BB/100 approximates 30 live hands/hr. Adjust formula later if you track exact hands.</div>
+      </div>}
+      {tab === "log" && (
+        <div className="flex gap-2 mt-2 text-xs">
+          <DownloadButton className="px-2 py-1 rounded bg-zinc-100" filename={`sessions-${today()}.csv`} type="text/csv"
+            getContent={()=> sessionsToCsv(filtered ? rows : sessions)}>Export CSV{filtered ? " (filtered)" : ""}</DownloadButton>
+          <button className="px-2 py-1 rounded bg-zinc-100" onClick={()=>setImporting(v=>!v)}>Import CSV…</button>
+        </div>
+      )}
+      {tab === "log" && importing && (
+        <SessionCsvImport sessions={sessions} onClose={()=>setImporting(false)}
+          onImport={(list)=> setSessions(prev=> [...list, ...prev].sort(newestFirst))} />
+      )}
+      <div className="text-[11px] text-zinc-500 mt-2">BB/100 uses each session’s big blind and counted hands; * marks an estimate at ~{HANDS_PER_HOUR} hands/hr.</div>
     </div>
   );
 }
@@ -1,60 +1,95 @@
 import React, { useMemo, useState } from "react";
+import { BOARD_TYPES, classifyBoard } from "../engine/boardTexture";
+import { OPP_TYPES, BASELINE, BUILTIN_RULES, evaluateGuide, guessInPosition, describeWhen } from "../engine/guideRules";
+import useStoredValue from "../hooks/useStoredValue";
 
 /**
- * Simple heuristic guide you can refine:
- * - Choose Board Type + Opponent Type + SPR to get sizing & frequency hints.
- * - Outputs suggested c-bet %, size, and notes.
+ * Betting guide driven by additive rules (see engine/guideRules):
+ * - Board type is read off the entered board; the dropdown overrides it.
+ * - Opponent type, SPR, position and field size each adjust the answer.
+ * - Shows which rules fired and by how much; custom rules are saved.
  */
-const BOARD_TYPES = [
-  "A-high dry (A72r)",
-  "K/Q-high dry (K83r)",
-  "Paired (JJ4r, 772r)",
-  "Low/connected (765r, 964ss)",
-  "Monotone (K72♣♣♣)",
-  "Two-tone (A93♠♥)",
-  "Wet high (KQJtt)",
-];
 
-const OPP_TYPES = ["TAG", "LAG", "Calling Station", "Nit", "Unknown"];
+const signed = (x, unit)=> `${x > 0 ? "+" : x < 0 ? "−" : "±"}${Math.abs(x)}${unit}`;
+const NEW_RULE = { name: "", board: "", opp: "", position: "", multiway: "", sprMin: "", sprMax: "", freq: "0", size: "0", note: "" };
 
-function recommend(board, opp, spr) {
-  // Very lightweight rules of thumb; adjust as you collect data.
-  const base = {
-    freq: 55, size: 33, note: "Baseline c-bet"
-  };
-
-  if (board.includes("A-high dry")) return { freq: 70, size: 33, note: "Range bet OK; mix checks OOP" };
-  if (board.includes("K/Q-high")) return { freq: 60, size: 33, note: "Advantage on BTN/CO; mix checks OOP" };
-  if (board.includes("Paired")) return { freq: 65, size: 33, note: "Pressure with overcards/backdoors" };
-  if (board.includes("Low/connected")) return { freq: 35, size: 50, note: "Board hits caller; bet less/cap turn" };
-  if (board.includes("Monotone")) return { freq: 40, size: 33, note: "Small sizings keep range wide" };
-  if (board.includes("Two-tone")) return { freq: 55, size: 33, note: "Standard; plan turns on FD cards" };
-  if (board.includes("Wet high")) return { freq: 50, size: 66, note: "Bigger for protection/value" };
-
-  let adj = 0, szAdj = 0, extra = "";
-  switch (opp) {
-    case "Calling Station": adj -= 10; szAdj += 15; extra = " Value bet big; bluff less."; break;
-    case "Nit": adj += 10; szAdj -= 5; extra = " Bluff more; thin value less."; break;
-    case "LAG": adj -= 5; szAdj += 10; extra = " Bigger sizings; call down wider."; break;
-    case "TAG": default: break;
+function RuleForm({ onAdd }) {
+  const [f, setF] = useState(NEW_RULE);
+  const set = (k)=> (e)=> setF(x=> ({ ...x, [k]: e.target.value }));
+  const sel = (k, label, opts)=> (
+    <label>{label}
+      <select className="w-full mt-1 px-2 py-1 rounded border" value={f[k]} onChange={set(k)}>
+        <option value="">any</option>
+        {opts.map(([v,l])=> <option key={v} value={v}>{l}</option>)}
+      </select>
+    </label>
+  );
+  function add() {
+    if (!f.name.trim()) return alert("Give the rule a name.");
+    const when = {};
+    if (f.board) when.board = f.board.replace(/ \(.*$/, "");
+    if (f.opp) when.opp = f.opp;
+    if (f.position) when.position = f.position;
+    if (f.multiway) when.multiway = f.multiway === "yes";
+    if (f.sprMin !== "") when.sprMin = Number(f.sprMin);
+    if (f.sprMax !== "") when.sprMax = Number(f.sprMax);
+    onAdd({ id: `c-${Date.now()}`, name: f.name.trim(), when, freq: Number(f.freq) || 0, size: Number(f.size) || 0, note: f.note.trim() });
+    setF(NEW_RULE);
   }
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs mt-2">
+      <label className="col-span-2">Name<input className="w-full mt-1 px-2 py-1 rounded border" value={f.name} onChange={set("name")} /></label>
+      {sel("board", "Board", BOARD_TYPES.map(b=> [b, b]))}
+      {sel("opp", "Opponent", OPP_TYPES.map(o=> [o, o]))}
+      {sel("position", "Position", [["IP","In position"],["OOP","Out of position"]])}
+      {sel("multiway", "Field", [["no","Heads‑up"],["yes","Multiway"]])}
+      <label>SPR ≥<input type="number" className="w-full mt-1 px-2 py-1 rounded border" value={f.sprMin} onChange={set("sprMin")} /></label>
+      <label>SPR ≤<input type="number" className="w-full mt-1 px-2 py-1 rounded border" value={f.sprMax} onChange={set("sprMax")} /></label>
+      <label>Freq ± (pts)<input type="number" className="w-full mt-1 px-2 py-1 rounded border" value={f.freq} onChange={set("freq")} /></label>
+      <label>Size ± (% pot)<input type="number" className="w-full mt-1 px-2 py-1 rounded border" value={f.size} onChange={set("size")} /></label>
+      <label className="col-span-2">Note<input className="w-full mt-1 px-2 py-1 rounded border" value={f.note} onChange={set("note")} /></label>
+      <button className="col-span-2 md:col-span-4 px-3 py-1 rounded-xl bg-zinc-900 text-white text-sm" onClick={add}>Add rule</button>
+    </div>
+  );
+}
 
-  if (spr <= 3) { szAdj += 10; extra += " Low SPR favors bigger sizings / commitment."; }
-  if (spr >= 6) { adj -= 5; extra += " High SPR: keep pot smaller without strong equity."; }
-
-  const res = { ...base };
-  res.freq = Math.min(95, Math.max(10, (res.freq + adj)));
-  res.size = Math.min(150, Math.max(25, (res.size + szAdj)));
-  res.note += extra;
-  return res;
+function TextureFlags({ texture }) {
+  const chips = [
+    `${texture.high}-high`,
+    texture.paired ? "paired" : null,
+    texture.suits,
+    texture.connectedness,
+    texture.wet ? "wet" : "dry",
+    texture.flush ? "flush possible" : texture.flushDraw ? "flush draw" : null,
+    texture.straight ? "straight possible" : texture.straightDraw ? "straight draw" : null,
+  ].filter(Boolean);
+  return (
+    <div className="flex flex-wrap gap-1 mt-2">
+      {chips.map(c=> <span key={c} className="px-2 py-0.5 rounded-full bg-zinc-100 dark:bg-zinc-800 text-xs">{c}</span>)}
+    </div>
+  );
 }
 
-export default function BettingGuide({ heroPos = "CO" }) {
-  const [board, setBoard] = useState(BOARD_TYPES[0]);
-  const [opp, setOpp] = useState(OPP_TYPES[0]);
-  const [spr, setSpr] = useState(5);
+export default function BettingGuide({ heroPos = "CO", board: cards = [], autoSpr = null, liveCount = 2, autoOpp = null }) {
+  const texture = useMemo(()=> classifyBoard(cards), [cards]);
+  const [manualBoard, setBoard] = useState("");
+  const [manualOpp, setOpp] = useState("");
+  const [manualSpr, setSpr] = useState(null);
+  const [manualPos, setPosition] = useState("");
+  const [customRules, setCustomRules] = useStoredValue("psa_guide_rules", []);
+  const [showRules, setShowRules] = useState(false);
+  // Entered cards and tracked stacks/pot drive these unless overridden.
+  const board = manualBoard || texture?.type || BOARD_TYPES[0];
+  const spr = manualSpr ?? (autoSpr != null ? Math.round(autoSpr * 10) / 10 : 5);
+
+  const opp = manualOpp || (autoOpp && OPP_TYPES.includes(autoOpp.tag) ? autoOpp.tag : OPP_TYPES[0]);
+  const position = manualPos || guessInPosition(heroPos);
+  const multiway = liveCount > 2;
 
-  const rec = useMemo(() => recommend(board, opp, Number(spr)), [board, opp, spr]);
+  const rec = useMemo(()=> evaluateGuide(
+    { board, texture: manualBoard ? null : texture, opp, spr: Number(spr), position, multiway },
+    [...BUILTIN_RULES, ...customRules],
+  ), [board, manualBoard, texture, opp, spr, position, multiway, customRules]);
 
   return (
     <div className="rounded-2xl p-4 border shadow-sm bg-white dark:bg-zinc-900">
@@ -62,21 +97,34 @@ export default function BettingGuide({ heroPos = "CO" }) {
         <div className="font-semibold">Betting Strategy Guide</div>
         <div className="text-xs text-zinc-500">Position: <span className="font-semibold">{heroPos}</span></div>
       </div>
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
         <label>Board type
-          <select className="w-full mt-1 px-2 py-1 rounded border" value={board} onChange={e=>setBoard(e.target.value)}>
+          <select className="w-full mt-1 px-2 py-1 rounded border" value={manualBoard} onChange={e=>setBoard(e.target.value)}>
+            <option value="">{texture ? `Auto: ${texture.type}` : `Auto (no flop yet): ${BOARD_TYPES[0]}`}</option>
             {BOARD_TYPES.map(b=> <option key={b} value={b}>{b}</option>)}
           </select>
         </label>
         <label>Opponent
-          <select className="w-full mt-1 px-2 py-1 rounded border" value={opp} onChange={e=>setOpp(e.target.value)}>
+          <select className="w-full mt-1 px-2 py-1 rounded border" value={manualOpp} onChange={e=>setOpp(e.target.value)}>
+            <option value="">{autoOpp ? `Auto: ${autoOpp.name} (${opp})` : `Auto (no tracked villain): ${opp}`}</option>
             {OPP_TYPES.map(o=> <option key={o} value={o}>{o}</option>)}
           </select>
         </label>
-        <label>SPR
+        <label>SPR {manualSpr == null && autoSpr != null ? <span className="text-xs text-zinc-500">(auto)</span>
+          : autoSpr != null && <button className="text-xs underline" onClick={()=>setSpr(null)}>use tracked</button>}
           <input type="number" step="0.5" min="1" className="w-full mt-1 px-2 py-1 rounded border" value={spr} onChange={e=>setSpr(e.target.value)} />
         </label>
+        <label>Postflop position
+          <select className="w-full mt-1 px-2 py-1 rounded border" value={manualPos} onChange={e=>setPosition(e.target.value)}>
+            <option value="">Auto from {heroPos}: {guessInPosition(heroPos) === "IP" ? "in position" : "out of position"}</option>
+            <option value="IP">In position</option>
+            <option value="OOP">Out of position</option>
+          </select>
+        </label>
       </div>
+      <div className="text-xs text-zinc-500 mt-1">{multiway ? `Multiway (${liveCount} players)` : "Heads‑up"} — from active seats.</div>
+      {texture && !manualBoard && <TextureFlags texture={texture} />}
+      {manualBoard && <div className="text-xs text-zinc-500 mt-2">Hypothetical board — pick “Auto” to follow the entered cards.</div>}
 
       <div className="mt-4 grid grid-cols-3 gap-3 text-sm">
         <div className="rounded-xl bg-zinc-50 dark:bg-zinc-800 p-3">
@@ -92,6 +140,41 @@ export default function BettingGuide({ heroPos = "CO" }) {
           <div className="text-sm">{rec.note}</div>
         </div>
       </div>
+
+      <div className="mt-3 text-xs">
+        <div className="font-medium mb-1">Why</div>
+        <table className="w-full">
+          <tbody>
+            <tr className="border-b"><td className="py-0.5">Baseline</td><td className="text-right tabular-nums">{BASELINE.freq}%</td><td className="text-right tabular-nums">{BASELINE.size}% pot</td></tr>
+            {rec.applied.filter(r=> r.freq || r.size).map(r=> (
+              <tr key={r.id} className="border-b last:border-b-0">
+                <td className="py-0.5">{r.name}{r.id.startsWith("c-") && <span className="ml-1 text-[10px] text-blue-600">custom</span>}</td>
+                <td className="text-right tabular-nums">{r.freq ? signed(r.freq, "%") : ""}</td>
+                <td className="text-right tabular-nums">{r.size ? signed(r.size, "%") : ""}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rec.clamped && <div className="text-zinc-500 mt-1">Capped to 10–95% frequency and 25–150% pot.</div>}
+      </div>
+
+      <div className="mt-3 text-xs">
+        <button className="underline" onClick={()=>setShowRules(v=>!v)}>{showRules ? "Hide" : "Edit"} custom rules ({customRules.length})</button>
+        {showRules && (
+          <>
+            <ul className="mt-2 space-y-1">
+              {customRules.map(r=> (
+                <li key={r.id} className="flex items-center gap-2">
+                  <span className="font-medium">{r.name}</span>
+                  <span className="text-zinc-500">{describeWhen(r.when)} → {signed(r.freq, "%")} freq, {signed(r.size, "%")} size</span>
+                  <button className="ml-auto px-1 rounded bg-zinc-100" onClick={()=>setCustomRules(rs=> rs.filter(x=> x.id !== r.id))}>×</button>
+                </li>
+              ))}
+            </ul>
+            <RuleForm onAdd={r=> setCustomRules(rs=> [...rs, r])} />
+          </>
+        )}
+      </div>
       <div className="text-[11px] text-zinc-500 mt-2">Guidelines only — refine as you collect reads and results.</div>
     </div>
   );
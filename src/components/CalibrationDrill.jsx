@@ -0,0 +1,144 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  LineChart, Line, XAxis, YAxis, Tooltip,
+  ResponsiveContainer, CartesianGrid, Legend
+} from "recharts";
+import { formatCard } from "../engine/cards";
+import { dealDrill, heroCategory, addGuess, errorBreakdown, calibrationCurve, CATEGORIES, DRILL_STREETS } from "../engine/calibration";
+import { equityPercents } from "../engine/simulate";
+import { runSimulation } from "../engine/simPool";
+import useStoreRecords from "../hooks/useStoreRecords";
+
+const byTime = (a, b)=> a.at - b.at;
+const signed = (x)=> `${x > 0 ? "+" : ""}${x.toFixed(1)}`;
+
+function Breakdown({ title, rows }) {
+  if (!rows.length) return null;
+  return (
+    <div>
+      <div className="font-medium mb-1">{title}</div>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left border-b"><th className="py-1"></th><th className="py-1 text-right">n</th><th className="py-1 text-right">Avg error</th><th className="py-1 text-right">Bias</th></tr>
+        </thead>
+        <tbody>
+          {rows.map(r=> (
+            <tr key={r.name} className="border-b last:border-b-0">
+              <td className="py-1">{r.name}</td>
+              <td className="py-1 text-right tabular-nums">{r.n}</td>
+              <td className="py-1 text-right tabular-nums">{r.error.toFixed(1)}</td>
+              <td className={`py-1 text-right tabular-nums ${Math.abs(r.bias) >= 5 ? "font-semibold" : ""}`}>{signed(r.bias)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const ordered = (rows, order)=> rows.slice().sort((a,b)=> order.indexOf(a.name) - order.indexOf(b.name));
+
+/**
+ * Equity calibration: guess hero's equity in a random spot, then see the
+ * simulated number. Error and bias (positive = overestimating) are tracked
+ * by hand category, street and heads-up vs multiway.
+ */
+export default function CalibrationDrill() {
+  const [records, setRecords] = useStoreRecords("calibration", byTime);
+  const [drill, setDrill] = useState(()=> dealDrill());
+  const [guess, setGuess] = useState("");
+  const [reveal, setReveal] = useState(null);
+  const runRef = useRef(null);
+
+  useEffect(()=> ()=> runRef.current?.cancel(), []);
+
+  function submit() {
+    const g = Number(guess);
+    if (guess === "" || !(g >= 0 && g <= 100)) return alert("Enter a guess from 0 to 100.");
+    const opts = {
+      players: [
+        { active: true, isHero: true, cards: drill.hero },
+        ...drill.villains.map(v=> ({ active: true, isHero: false, cards: v.cards || ["",""], range: v.range ?? null })),
+      ],
+      board: drill.board, dead: [], trials: 6000,
+    };
+    setReveal({ guess: g, actual: null });
+    const run = runSimulation(opts);
+    runRef.current = run;
+    run.promise.then(res=>{
+      if (!res) return;
+      const actual = equityPercents(res)[0];
+      setReveal({ guess: g, actual });
+      setRecords(r=> addGuess(r, drill, g, actual));
+    }).catch(err=> alert(`Simulation failed: ${err.message}`));
+  }
+  function next() {
+    runRef.current?.cancel();
+    setDrill(dealDrill()); setGuess(""); setReveal(null);
+  }
+
+  const curve = calibrationCurve(records);
+
+  return (
+    <div className="rounded-2xl p-4 border shadow-sm bg-white dark:bg-zinc-900">
+      <div className="font-semibold mb-2">Equity Calibration Drill</div>
+
+      <div className="rounded-xl bg-zinc-50 dark:bg-zinc-800 p-3 text-sm">
+        <div className="flex flex-wrap gap-4 items-baseline">
+          <div><span className="text-xs text-zinc-500">You</span> <span className="text-2xl font-bold font-mono">{drill.hero.map(formatCard).join(" ")}</span></div>
+          <div><span className="text-xs text-zinc-500">Board</span> <span className="text-xl font-mono">{drill.board.length ? drill.board.map(formatCard).join(" ") : "preflop"}</span></div>
+        </div>
+        <ul className="mt-1 space-y-0.5">
+          {drill.villains.map((v,i)=> (
+            <li key={i}>
+              Villain {i+1}:{" "}
+              {v.cards ? <span className="font-mono">{v.cards.map(formatCard).join(" ")}</span>
+                : <><span className="px-1 rounded bg-amber-100 text-amber-800 text-[10px]">Range</span> <span className="font-mono text-xs">{v.range}</span></>}
+            </li>
+          ))}
+        </ul>
+        <div className="flex flex-wrap items-center gap-2 mt-2">
+          <input type="number" min="0" max="100" className="w-24 px-2 py-1 rounded border" placeholder="Equity %" value={guess} disabled={!!reveal}
+            onChange={e=>setGuess(e.target.value)} onKeyDown={e=>{ if (e.key === "Enter" && !reveal) submit(); }} />
+          {!reveal && <button className="px-3 py-1 rounded-xl bg-zinc-900 text-white" onClick={submit}>Reveal</button>}
+          {reveal && <button className="px-3 py-1 rounded-xl bg-blue-600 text-white" onClick={next}>Next spot</button>}
+          {reveal && (reveal.actual == null ? <span className="text-zinc-500">Simulating…</span> : (
+            <span>
+              Real equity <b>{reveal.actual.toFixed(1)}%</b>{" "}
+              <span className={Math.abs(reveal.guess - reveal.actual) <= 5 ? "text-emerald-600" : "text-red-600"}>({signed(reveal.guess - reveal.actual)})</span>
+              <span className="text-xs text-zinc-500 ml-2">{heroCategory(drill.hero, drill.board)}</span>
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {records.length > 0 && (
+        <>
+          <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+            <Breakdown title="By hand" rows={ordered(errorBreakdown(records, "category"), CATEGORIES)} />
+            <Breakdown title="By street" rows={ordered(errorBreakdown(records, "street"), DRILL_STREETS)} />
+            <Breakdown title="By field" rows={ordered(errorBreakdown(records, "field"), ["Heads-up","Multiway"])} />
+          </div>
+          <div className="font-medium mt-4 mb-1 text-sm">Calibration ({records.length} guesses)</div>
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={curve} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="bucket" tickFormatter={(v)=>`${v}%`} label={{ value: "Your guess", position: "insideBottomRight", offset: -5 }} />
+                <YAxis domain={[0, 100]} tickFormatter={(v)=>`${v}%`} />
+                <Tooltip formatter={(v)=>`${v.toFixed? v.toFixed(1):v}%`} />
+                <Legend />
+                <Line type="monotone" dataKey="perfect" name="Perfect" stroke="#a1a1aa" strokeDasharray="4 4" dot={false} />
+                <Line type="monotone" dataKey="actual" name="Real equity" stroke="#3b82f6" connectNulls />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="flex items-center justify-between text-xs text-zinc-500 mt-1">
+            <span>Bias above zero means you overestimate.</span>
+            <button className="underline" onClick={()=>{ if (confirm("Clear all calibration history?")) setRecords([]); }}>Reset</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
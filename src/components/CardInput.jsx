@@ -0,0 +1,26 @@
+import React, { useEffect, useState } from "react";
+import { parseCard, formatCard } from "../engine/cards";
+
+export default function CardInput({ label, value, onChange, blocked, ranks }){
+  const [text, setText] = useState(value || "");
+  useEffect(()=>setText(value||""), [value]);
+  const valid = !text || parseCard(text, ranks);
+  return (
+    <div className="flex items-center gap-2">
+      <span className="text-xs text-gray-500 w-16">{label}</span>
+      <input
+        value={text}
+        onChange={e=>{
+          const v = e.target.value.replace(/\s+/g,"");
+          setText(v);
+          const pc = parseCard(v, ranks);
+          if (pc && !blocked.has(pc)) onChange(pc);
+          else if (v === "") onChange("");
+        }}
+        placeholder="As"
+        className={`w-16 px-2 py-1 rounded border bg-white dark:bg-zinc-900 ${valid?"border-zinc-300":"border-red-500"}`}
+      />
+      <div className="text-sm tabular-nums w-10">{formatCard(value)}</div>
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { callMath, betMath, raiseMath } from "../engine/betting";
+
+const num = (v)=> Number(v) || 0;
+const money = (x)=> !isFinite(x) ? "∞" : `${x < 0 ? "−" : ""}$${Math.abs(Math.round(x * 100) / 100).toLocaleString()}`;
+const pct = (x)=> `${(x * 100).toFixed(1)}%`;
+
+function Stat({ label, value, tone }) {
+  return (
+    <div className="rounded-xl bg-zinc-50 dark:bg-zinc-800 p-2">
+      <div className="text-[11px] text-zinc-500">{label}</div>
+      <div className={`text-lg font-bold ${tone === "good" ? "text-emerald-600" : tone === "bad" ? "text-red-600" : ""}`}>{value}</div>
+    </div>
+  );
+}
+const evTone = (x)=> x > 0 ? "good" : x < 0 ? "bad" : undefined;
+
+/**
+ * Call / bet / raise EV. Pot and price follow the action tracker and
+ * equity can be pulled from the last simulation; any field typed in by
+ * hand overrides the tracked value until reset.
+ */
+export default function DecisionCalculator({ pot = 0, toCall = 0, facing = null, yourIn = null, heroEquity = null }) {
+  const [mode, setMode] = useState("call");
+  const [form, setForm] = useState({});
+  const tracked = { pot, toCall, facing, yourIn };
+  const val = (k, fallback = "")=> form[k] ?? (tracked[k] != null ? String(Math.round(tracked[k] * 100) / 100) : fallback);
+  const set = (k)=> (e)=> setForm(f=> ({ ...f, [k]: e.target.value }));
+  const field = (k, label, fallback)=> (
+    <label>{label}
+      <input type="number" min="0" step="any" className="w-full mt-1 px-2 py-1 rounded border" value={val(k, fallback)} onChange={set(k)} />
+    </label>
+  );
+
+  const equity = num(val("equity")) / 100;
+  const folds = num(val("fold", "40")) / 100;
+  const calls = num(val("call", "50")) / 100;
+
+  let stats;
+  if (mode === "call") {
+    const r = callMath({ pot: num(val("pot")), toCall: num(val("toCall")), equity, implied: num(val("implied", "0")) });
+    stats = [
+      ["Equity needed", pct(r.required)],
+      ["Pot odds", isFinite(r.potOdds) ? `${r.potOdds.toFixed(1)} : 1` : "—"],
+      ["Call EV", money(r.ev), evTone(r.ev)],
+      ["Call EV + implied", money(r.evImplied), evTone(r.evImplied)],
+      ["Implied odds needed", money(r.neededImplied)],
+    ];
+  } else if (mode === "bet") {
+    const r = betMath({ pot: num(val("pot")), bet: num(val("bet", "0")), equity, foldPct: folds });
+    stats = [
+      ["Villain MDF", pct(r.mdf)],
+      ["Break‑even fold %", pct(r.breakEvenFold)],
+      ["EV when called", money(r.evCalled), evTone(r.evCalled)],
+      ["Bet EV", money(r.ev), evTone(r.ev)],
+    ];
+  } else {
+    const r = raiseMath({ pot: num(val("pot")), facing: num(val("facing")), raiseTo: num(val("raiseTo", "0")), yourIn: num(val("yourIn", "0")), equity, foldPct: folds, callPct: calls });
+    stats = [
+      ["Raise EV", money(r.ev), evTone(r.ev)],
+      ["EV when called", money(r.evCalled), evTone(r.evCalled)],
+      ["Call EV instead", money(r.evCall), evTone(r.evCall)],
+      ["Villain re‑raises", pct(r.reraisePct)],
+    ];
+  }
+
+  return (
+    <div className="rounded-2xl p-4 border shadow-sm bg-white dark:bg-zinc-900">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">Decision Calculator</div>
+        <div className="inline-flex rounded-2xl border overflow-hidden text-sm">
+          {[["call","Call"],["bet","Bet"],["raise","Raise"]].map(([k,l])=> (
+            <button key={k} className={`px-3 py-1 ${mode===k?"bg-blue-600 text-white":"bg-white dark:bg-zinc-900"}`} onClick={()=>setMode(k)}>{l}</button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 text-sm">
+        {field("pot", "Pot incl. bets ($)")}
+        {mode === "call" && field("toCall", "To call ($)")}
+        {mode === "call" && field("implied", "Implied winnings ($)", "0")}
+        {mode === "bet" && field("bet", "Your bet ($)", "0")}
+        {mode === "raise" && field("facing", "Bet facing you ($)")}
+        {mode === "raise" && field("raiseTo", "Raise to ($)", "0")}
+        {mode === "raise" && field("yourIn", "Already in this street ($)", "0")}
+        <label>Your equity (%)
+          <div className="flex gap-1 mt-1">
+            <input type="number" min="0" max="100" step="0.1" className="w-full px-2 py-1 rounded border" value={val("equity")} onChange={set("equity")} />
+            {heroEquity != null && (
+              <button className="px-2 rounded bg-zinc-100 text-xs whitespace-nowrap" title="Hero equity from the last simulation"
+                onClick={()=> setForm(f=> ({ ...f, equity: heroEquity.toFixed(1) }))}>Sim {heroEquity.toFixed(1)}%</button>
+            )}
+          </div>
+        </label>
+        {mode !== "call" && field("fold", "Villain folds (%)", "40")}
+        {mode === "raise" && field("call", "Villain calls (%)", "50")}
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 md:grid-cols-3 gap-2">
+        {stats.map(([label, value, tone])=> <Stat key={label} label={label} value={value} tone={tone} />)}
+      </div>
+      <div className="flex items-center justify-between text-[11px] text-zinc-500 mt-2">
+        <span>{mode === "raise" ? "A re‑raise is assumed to make you fold." : mode === "bet" ? "Bet EV assumes villain only calls or folds." : "EV counts the pot won; the call itself is the risk."}</span>
+        {Object.keys(form).length > 0 && <button className="underline" onClick={()=>setForm({})}>Use tracked</button>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+import React from "react";
+
+/** Saves `getContent()` (which may be async) as a file; content is built only on click. */
+export default function DownloadButton({ filename, type = "text/plain", getContent, className = "", children }) {
+  async function save() {
+    let content;
+    try { content = await getContent(); }
+    catch (err) { alert(`Export failed: ${err.message || err}`); return; }
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement("a");
+    a.href = url; a.download = filename;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(()=> URL.revokeObjectURL(url), 1000);
+  }
+  return <button className={className} onClick={save}>{children}</button>;
+}
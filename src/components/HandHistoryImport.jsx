@@ -0,0 +1,139 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { parseHandHistories } from "../engine/handHistory";
+import { formatCard } from "../engine/cards";
+import { gameInfo } from "../engine/games";
+import useStoreRecords from "../hooks/useStoreRecords";
+import { findHands, handStakesKey } from "../engine/store";
+
+const handKey = (h)=> `${h.site}:${h.id}`;
+const byDate = (a, b)=> String(a.date ?? "").localeCompare(String(b.date ?? ""));
+
+function HandRow({ hand, onLoad, onReplay, onDelete }) {
+  const [showLines, setShowLines] = useState(false);
+  const hero = hand.holeCards[hand.hero] || [];
+  const stakes = handStakesKey(hand) ?? "?";
+  return (
+    <div className="rounded-xl border p-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium">{hand.site} #{hand.id}</span>
+        <span className="text-xs text-zinc-500">{gameInfo(hand.game).label} {stakes} • {hand.seats.length} seats</span>
+        <span className="font-mono">{hero.map(formatCard).join(" ")}</span>
+        {hand.board.length > 0 && <span className="font-mono text-zinc-500">| {hand.board.map(formatCard).join(" ")}</span>}
+        <span className="ml-auto flex gap-1">
+          <button className="px-2 py-1 rounded bg-zinc-900 text-white" onClick={()=>onLoad(hand)}>Load</button>
+          {onReplay && <button className="px-2 py-1 rounded bg-zinc-100" onClick={()=>onReplay(hand)}>Replay</button>}
+          {onDelete && <button className="px-2 py-1 rounded bg-zinc-100" onClick={onDelete}>×</button>}
+        </span>
+      </div>
+      {hand.unparsed.length > 0 && (
+        <div className="mt-1 text-xs text-amber-600">
+          <button className="underline" onClick={()=>setShowLines(s=>!s)}>{hand.unparsed.length} line(s) not understood</button>
+          {showLines && (
+            <ul className="mt-1 font-mono text-[11px] text-zinc-500">
+              {hand.unparsed.map((u,i)=> <li key={i}>{u.lineNo}: {u.line}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Paste or upload PokerStars / GGPoker text histories. Parsed hands can be
+ * loaded straight onto the table, replayed, or kept in the hand library.
+ */
+export default function HandHistoryImport({ onLoad, onReplay }) {
+  const [text, setText] = useState("");
+  const [parsed, setParsed] = useState(null);
+  const [library, setLibrary] = useStoreRecords("hands", byDate);
+  const [find, setFind] = useState({ player: "", stakes: "" });
+  const [found, setFound] = useState(null);
+  const [findError, setFindError] = useState(null);
+  const stakesList = useMemo(()=> [...new Set(library.map(handStakesKey).filter(Boolean))].sort(), [library]);
+
+  // Library filters go through the store's player/stakes indexes; `found`
+  // holds the matching keys, or null when no filter is set.
+  useEffect(()=>{
+    const player = find.player.trim();
+    setFindError(null);
+    if (!player && !find.stakes) { setFound(null); return; }
+    let live = true;
+    findHands({ player, stakes: find.stakes })
+      .then(list=>{ if (live) setFound(new Set(list.map(handKey))); })
+      .catch(err=>{ if (live) setFindError(err.message || String(err)); });
+    return ()=>{ live = false; };
+  }, [find, library]);
+  const shown = found ? library.filter(h=> found.has(handKey(h))) : library;
+
+  function parse(raw) {
+    const res = parseHandHistories(raw);
+    setParsed(res);
+    if (!res.hands.length) alert("No hand histories found.");
+  }
+  async function upload(e) {
+    const files = [...e.target.files];
+    const raw = (await Promise.all(files.map(f=>f.text()))).join("\n\n");
+    setText(raw);
+    parse(raw);
+    e.target.value = "";
+  }
+  function keepAll() {
+    setLibrary(prev=>{
+      const seen = new Set(prev.map(handKey));
+      return [...prev, ...parsed.hands.filter(h=> h.id && !seen.has(handKey(h)))];
+    });
+  }
+
+  return (
+    <div className="rounded-2xl p-4 border shadow-sm bg-white dark:bg-zinc-900">
+      <div className="font-semibold mb-2">Hand History Import</div>
+      <textarea
+        className="w-full h-28 rounded-xl border p-2 font-mono text-xs bg-white dark:bg-zinc-900"
+        placeholder="Paste PokerStars or GGPoker hand histories…"
+        value={text}
+        onChange={e=>setText(e.target.value)}
+      />
+      <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+        <button className="px-3 py-1 rounded-xl bg-zinc-900 text-white" onClick={()=>parse(text)}>Parse</button>
+        <label className="px-3 py-1 rounded-xl bg-zinc-100 cursor-pointer">Upload .txt
+          <input type="file" accept=".txt,text/plain" multiple className="hidden" onChange={upload} />
+        </label>
+        {parsed?.hands.length > 0 && <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={keepAll}>Save all to library</button>}
+      </div>
+
+      {parsed && (
+        <div className="mt-3 space-y-2">
+          <div className="text-xs text-zinc-500">
+            {parsed.hands.length} hand(s) parsed
+            {parsed.unparsed.length > 0 && ` • ${parsed.unparsed.length} line(s) outside any hand skipped`}
+          </div>
+          {parsed.hands.map((h,i)=> <HandRow key={i} hand={h} onLoad={onLoad} onReplay={onReplay} />)}
+        </div>
+      )}
+
+      {library.length > 0 && (
+        <div className="mt-4 space-y-2">
+          <div className="flex items-center justify-between text-sm font-medium">
+            <span>Library ({found ? `${shown.length} of ${library.length}` : library.length})</span>
+            <button className="px-2 py-1 rounded bg-zinc-100 text-xs" onClick={()=>{ if (confirm("Delete all saved hands?")) setLibrary([]); }}>Clear</button>
+          </div>
+          <div className="flex gap-2 text-xs">
+            <input className="flex-1 px-2 py-1 rounded border" placeholder="Player name starts with…"
+              value={find.player} onChange={e=>setFind(f=> ({ ...f, player: e.target.value }))} />
+            <select className="px-2 py-1 rounded border" value={find.stakes} onChange={e=>setFind(f=> ({ ...f, stakes: e.target.value }))}>
+              <option value="">All stakes</option>
+              {stakesList.map(k=> <option key={k} value={k}>{k}</option>)}
+            </select>
+          </div>
+          {findError && <div className="text-xs text-red-600">Search failed: {findError}</div>}
+          <div className="max-h-64 overflow-auto space-y-2">
+            {shown.map(h=> (
+              <HandRow key={handKey(h)} hand={h} onLoad={onLoad} onReplay={onReplay} onDelete={()=>setLibrary(prev=>prev.filter(x=>handKey(x) !== handKey(h)))} />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
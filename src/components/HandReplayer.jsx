@@ -0,0 +1,133 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  LineChart, Line, XAxis, YAxis, Tooltip,
+  ResponsiveContainer, CartesianGrid, Legend
+} from "recharts";
+import { formatCard } from "../engine/cards";
+import { STREETS } from "../engine/handHistory";
+import { buildReplay, spotKey, spotOptions } from "../engine/replay";
+import { equityPercents } from "../engine/simulate";
+import { runSimulation } from "../engine/simPool";
+
+const COLORS = ["#3b82f6","#ef4444","#10b981","#f59e0b","#8b5cf6","#ec4899","#14b8a6","#f97316","#64748b"];
+const STREET_LABEL = { preflop:"Preflop", flop:"Flop", turn:"Turn", river:"River" };
+
+/**
+ * Steps through an imported hand action by action with pot, stacks, who
+ * acts next and each live player's equity at that point.
+ */
+export default function HandReplayer({ hand, onClose }) {
+  const replay = useMemo(()=> buildReplay(hand), [hand]);
+  const [at, setAt] = useState(0);
+  const [equity, setEquity] = useState({});
+
+  // One simulation per distinct board + live-player spot, run in order so
+  // the early streets fill in first.
+  useEffect(()=>{
+    setAt(0); setEquity({});
+    const spots = new Map();
+    for (const s of replay.steps) if (!spots.has(spotKey(s))) spots.set(spotKey(s), s);
+    let run = null;
+    let stopped = false;
+    (async ()=>{
+      for (const [key, step] of spots) {
+        const opts = spotOptions(hand, replay, step);
+        if (!opts) continue;
+        run = runSimulation(opts);
+        const res = await run.promise.catch(()=> null);
+        if (stopped) return;
+        if (res) setEquity(prev=> ({ ...prev, [key]: equityPercents(res) }));
+      }
+    })();
+    return ()=>{ stopped = true; run?.cancel(); };
+  }, [hand, replay]);
+
+  const step = replay.steps[at];
+  const equityAt = (s)=>{
+    if (s.live.length === 1) return { [s.live[0]]: 100 };
+    const eq = equity[spotKey(s)];
+    if (!eq) return null;
+    const live = replay.players.filter(p=>s.live.includes(p.name));
+    return Object.fromEntries(live.map((p,i)=>[p.name, eq[i]]));
+  };
+  const current = equityAt(step);
+
+  // Equity as each street is dealt.
+  const chartData = STREETS.map(street=> replay.steps.find(s=>s.street === street)).filter(Boolean).map(s=>{
+    const eq = equityAt(s);
+    return { street: STREET_LABEL[s.street], ...(eq || {}) };
+  });
+
+  return (
+    <div className="rounded-2xl p-4 border shadow-sm bg-white dark:bg-zinc-900">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="font-semibold">Replay • {hand.site} #{hand.id}</div>
+        <button className="ml-auto px-2 py-1 rounded bg-zinc-100 text-sm" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={()=>setAt(0)} disabled={at===0}>⏮</button>
+        <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={()=>setAt(i=>Math.max(0, i-1))} disabled={at===0}>◀</button>
+        <button className="px-3 py-1 rounded-xl bg-zinc-900 text-white" onClick={()=>setAt(i=>Math.min(replay.steps.length-1, i+1))} disabled={at===replay.steps.length-1}>▶</button>
+        <input type="range" min={0} max={replay.steps.length-1} value={at} onChange={e=>setAt(Number(e.target.value))} className="flex-1" />
+        <span className="text-xs text-zinc-500">{at+1}/{replay.steps.length}</span>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-baseline gap-3">
+        <span className="px-2 py-0.5 rounded bg-zinc-100 text-xs uppercase">{STREET_LABEL[step.street]}</span>
+        <span className="font-medium">{step.label}</span>
+        <span className="ml-auto text-sm">Pot <b>{step.pot.toLocaleString()}</b></span>
+      </div>
+      <div className="mt-1 font-mono">{step.board.length ? step.board.map(formatCard).join(" ") : <span className="text-sm text-zinc-500 font-sans">No board yet</span>}</div>
+
+      <table className="w-full text-sm mt-3">
+        <thead>
+          <tr className="text-left border-b">
+            <th className="py-1 pr-2">Seat</th>
+            <th className="py-1 pr-2">Player</th>
+            <th className="py-1 pr-2">Cards</th>
+            <th className="py-1 pr-2 text-right">Stack</th>
+            <th className="py-1 pr-2 text-right">Equity %</th>
+          </tr>
+        </thead>
+        <tbody>
+          {replay.players.map(p=>{
+            const live = step.live.includes(p.name);
+            return (
+              <tr key={p.name} className={`border-b last:border-b-0 ${live ? "" : "opacity-40"} ${p.isHero ? "bg-blue-50 dark:bg-blue-900/20" : ""}`}>
+                <td className="py-1 pr-2">{p.seat}</td>
+                <td className="py-1 pr-2">
+                  {p.name}
+                  {step.toAct === p.name && <span className="ml-1 px-1 rounded bg-emerald-100 text-emerald-800 text-[10px]">to act</span>}
+                  {step.actor === p.name && <span className="ml-1 text-[10px] text-zinc-500">(acted)</span>}
+                </td>
+                <td className="py-1 pr-2 font-mono">{p.cards.length ? p.cards.map(formatCard).join(" ") : "??"}</td>
+                <td className="py-1 pr-2 text-right tabular-nums">{(step.stacks[p.name] ?? 0).toLocaleString()}</td>
+                <td className="py-1 pr-2 text-right tabular-nums font-medium">
+                  {!live ? "—" : current ? current[p.name].toFixed(1) : "…"}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="text-xs text-zinc-500 mt-1">Unknown hole cards are treated as random hands.</div>
+
+      <div className="font-medium mt-4 mb-1 text-sm">Equity by street</div>
+      <div className="h-56">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="street" />
+            <YAxis domain={[0, 100]} tickFormatter={(v)=>`${v}%`} />
+            <Tooltip formatter={(v)=>`${v.toFixed? v.toFixed(1):v}%`} />
+            <Legend />
+            {replay.players.map((p,i)=> (
+              <Line key={p.name} type="monotone" dataKey={p.name} name={p.isHero ? `${p.name} (you)` : p.name} stroke={COLORS[i % COLORS.length]} connectNulls={false} />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useEffect, useRef, useState } from "react";
+import useStoredValue from "../hooks/useStoredValue";
+import {
+  startLive, onBreak, toggleBreak, addBuyIn, playedMs, invested,
+  liveAlerts, formatClock, endLive
+} from "../engine/liveSession";
+
+const SETUP = { buyIn: "", location: "", stopLoss: "", stopWin: "", maxHours: "" };
+
+/**
+ * Session clock for use at the table: pausable for breaks, logs rebuys
+ * and add-ons, counts hands with one tap and warns on stop-loss, stop-win
+ * or time limit. Ending it hands a finished session to `onEnd`.
+ */
+export default function LiveSession({ stakes, game, onEnd }) {
+  const [live, setLive] = useStoredValue("psa_live_session", null);
+  const [setup, setSetup] = useState(null);
+  const [rebuy, setRebuy] = useState("");
+  const [now, setNow] = useState(()=> Date.now());
+  const warned = useRef(new Set());
+  const stack = live?.stack ?? "";
+  const setStack = (v)=> setLive(l=> ({ ...l, stack: v }));
+
+  const running = !!live;
+  useEffect(()=>{
+    if (!running) return;
+    const t = setInterval(()=> setNow(Date.now()), 1000);
+    return ()=> clearInterval(t);
+  }, [running]);
+
+  const alerts = live ? liveAlerts(live, stack, now) : [];
+  const alertKeys = alerts.map(a=> a.key).join(",");
+  // Buzz once per limit as it's first crossed.
+  useEffect(()=>{
+    const fresh = alertKeys.split(",").filter(k=> k && !warned.current.has(k));
+    if (!fresh.length) return;
+    fresh.forEach(k=> warned.current.add(k));
+    navigator.vibrate?.([300, 150, 300]);
+  }, [alertKeys]);
+
+  function start() {
+    setLive({ ...startLive({ stakes, game, location: setup.location, buyIn: setup.buyIn, limits: setup }), stack: setup.buyIn });
+    setSetup(null); setNow(Date.now());
+    warned.current = new Set();
+  }
+  function end() {
+    const cashOut = prompt("Cash-out amount ($):", stack);
+    if (cashOut == null) return;
+    onEnd(endLive(live, cashOut));
+    setLive(null);
+  }
+  function discard() {
+    if (confirm("Discard this live session without logging it?")) setLive(null);
+  }
+
+  if (!live) return setup ? (
+    <div className="rounded-xl border p-3 mt-3 text-sm">
+      <div className="grid grid-cols-2 gap-2">
+        {[["buyIn","Buy-in ($)"],["location","Location"],["stopLoss","Stop-loss ($)"],["stopWin","Stop-win ($)"],["maxHours","Time limit (h)"]].map(([k,l])=> (
+          <label key={k}>{l}
+            <input type={k === "location" ? "text" : "number"} className="w-full mt-1 px-2 py-1 rounded border" value={setup[k]}
+              onChange={e=>setSetup(s=> ({ ...s, [k]: e.target.value }))} />
+          </label>
+        ))}
+        <div className="flex items-end gap-2">
+          <button className="px-3 py-1 rounded-xl bg-emerald-600 text-white" onClick={start}>Start</button>
+          <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={()=>setSetup(null)}>Cancel</button>
+        </div>
+      </div>
+      <div className="text-[11px] text-zinc-500 mt-1">{stakes} {game} — limits left blank are off.</div>
+    </div>
+  ) : (
+    <button className="mt-3 px-3 py-2 rounded-xl bg-emerald-600 text-white text-sm" onClick={()=>setSetup(SETUP)}>Start live session</button>
+  );
+
+  const paused = onBreak(live);
+  const played = playedMs(live, now);
+  const inFor = invested(live);
+  const net = stack === "" ? null : Number(stack) - inFor;
+
+  return (
+    <div className="rounded-xl border p-3 mt-3 text-sm">
+      {alerts.map(a=> <div key={a.key} className="mb-2 px-2 py-1 rounded bg-red-600 text-white font-medium">{a.text}</div>)}
+      <div className="flex flex-wrap items-center gap-3">
+        <div className={`text-3xl font-mono font-bold tabular-nums ${paused ? "text-zinc-400" : ""}`}>{formatClock(played)}</div>
+        <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={()=>setLive(l=> toggleBreak(l))}>{paused ? "Resume" : "Break"}</button>
+        <div className="ml-auto text-right">
+          <div className="text-xs text-zinc-500">{live.stakes} {live.game}{live.location ? ` • ${live.location}` : ""}</div>
+          <div>In for <b>${inFor.toLocaleString()}</b>{net != null && <> • <b className={net < 0 ? "text-red-600" : "text-emerald-600"}>{net < 0 ? "−" : "+"}${Math.abs(net).toLocaleString()}</b></>}</div>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-3">
+        <button className="px-4 py-2 rounded-xl bg-blue-600 text-white text-base" onClick={()=>setLive(l=> ({ ...l, hands: l.hands + 1 }))}>+1 hand</button>
+        <span className="tabular-nums"><b>{live.hands}</b> hands{played > 60e3 && live.hands > 0 ? ` (${Math.round(live.hands / (played / 3600e3))}/hr)` : ""}</span>
+        <button className="text-xs underline" disabled={!live.hands} onClick={()=>setLive(l=> ({ ...l, hands: Math.max(0, l.hands - 1) }))}>undo</button>
+        <label className="ml-auto text-xs">Stack ($)
+          <input type="number" className="ml-1 w-24 px-2 py-1 rounded border" value={stack} onChange={e=>setStack(e.target.value)} />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+        <input type="number" className="w-24 px-2 py-1 rounded border" placeholder="Amount $" value={rebuy} onChange={e=>setRebuy(e.target.value)} />
+        {["rebuy","add-on"].map(kind=> (
+          <button key={kind} className="px-2 py-1 rounded bg-zinc-100 disabled:opacity-40" disabled={!(Number(rebuy) > 0)} onClick={()=>{
+            setLive(l=> ({ ...addBuyIn(l, kind, rebuy), stack: l.stack === "" ? "" : String(Number(l.stack) + Number(rebuy)) }));
+            setRebuy("");
+          }}>{kind === "rebuy" ? "Rebuy" : "Add-on"}</button>
+        ))}
+        <span className="text-zinc-500">
+          {live.buyIns.map(b=> `${new Date(b.at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })} ${b.kind} $${b.amount}`).join(" • ")}
+        </span>
+      </div>
+
+      <div className="flex gap-2 mt-3">
+        <button className="px-3 py-1 rounded-xl bg-zinc-900 text-white" onClick={end}>End & log session</button>
+        <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={discard}>Discard</button>
+      </div>
+    </div>
+  );
+}
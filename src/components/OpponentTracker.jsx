@@ -1,70 +1,229 @@
-import React, { useEffect, useState } from "react";
+import React, { useState } from "react";
+import useStoredValue from "../hooks/useStoredValue";
+import {
+  TAGS, newPlayer, searchPlayers, lastSeen, updatePlayer,
+  assignSeat, unassignSeat, addNote, removePlayer, commitHand
+} from "../engine/players";
+import { HAND_FLAGS, MIN_TAG_HANDS, statLine, suggestTag, formatStat } from "../engine/playerStats";
+import { playersToCsv } from "../engine/csv";
+import DownloadButton from "./DownloadButton";
 
-const TAGS = ["LAG", "TAG", "Nit", "Calling Station", "Maniac", "Unknown"];
+const when = (ts)=> new Date(ts).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
 
-function useLocalStorage(key, initial) {
-  const [val, setVal] = useState(() => {
-    try { const v = localStorage.getItem(key); return v ? JSON.parse(v) : initial; }
-    catch { return initial; }
-  });
-  useEffect(()=>{ try { localStorage.setItem(key, JSON.stringify(val)); } catch {} }, [key,val]);
-  return [val, setVal];
+// Tag (or the suggestion, italic) plus VPIP/PFR over hands counted.
+function SeatSummary({ player }) {
+  const s = statLine(player.counts);
+  const suggested = player.tag === "Unknown" ? suggestTag(player.counts) : null;
+  return (
+    <span className="text-[10px] text-zinc-500 whitespace-nowrap">
+      {s.hands > 0 && <span className="tabular-nums mr-1">{formatStat(s.vpip)}/{formatStat(s.pfr)} ({s.hands})</span>}
+      {player.tag !== "Unknown" ? <span className="px-1 rounded bg-zinc-100 dark:bg-zinc-800">{player.tag}</span>
+        : suggested && <span className="px-1 rounded bg-zinc-100 dark:bg-zinc-800 italic">{suggested}?</span>}
+    </span>
+  );
+}
+
+function StatGrid({ player, onTag }) {
+  const s = statLine(player.counts);
+  const suggested = suggestTag(player.counts);
+  const cells = [
+    ["VPIP", s.vpip], ["PFR", s.pfr], ["3‑bet", s.threeBet], ["AF", s.af, 1, "Postflop bets and raises (c-bets included) / postflop calls"],
+    ["WTSD", s.wtsd], ["C‑bet", s.cbet], ["Fold to CB", s.foldCbet],
+  ];
+  return (
+    <div className="mb-2">
+      <div className="grid grid-cols-4 md:grid-cols-7 gap-1">
+        {cells.map(([label, stat, digits, title])=> (
+          <div key={label} className="rounded-lg bg-zinc-50 dark:bg-zinc-800 px-2 py-1" title={title}>
+            <div className="text-[10px] text-zinc-500">{label}</div>
+            <div className="font-semibold tabular-nums">{formatStat(stat, digits)}<span className="text-[10px] font-normal text-zinc-500"> /{stat.n}</span></div>
+          </div>
+        ))}
+      </div>
+      <div className="text-[11px] text-zinc-500 mt-1">
+        {s.hands} hands counted.{" "}
+        {suggested ? <>Plays like <b>{suggested}</b>{suggested !== player.tag && <> — <button className="underline" onClick={()=>onTag(suggested)}>use tag</button></>}</>
+          : `Tag suggestion after ${MIN_TAG_HANDS} hands.`}
+      </div>
+    </div>
+  );
+}
+
+function PlayerCard({ player, location, onChange, onNote, onDelete, onClose }) {
+  const [note, setNote] = useState("");
+  const counted = player.counts?.hands > 0;
+  function saveNote() {
+    if (!note.trim()) return;
+    onNote(note.trim()); setNote("");
+  }
+  return (
+    <div className="rounded-xl border p-3 mt-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <input className="px-2 py-1 rounded border w-40 font-medium" value={player.name} onChange={e=>onChange({ name: e.target.value })} />
+        <select className="px-2 py-1 rounded border" value={player.tag} onChange={e=>onChange({ tag: e.target.value })}>
+          {TAGS.map(t=><option key={t} value={t}>{t}</option>)}
+        </select>
+        {!counted && <>
+          <input className="px-2 py-1 rounded border w-24" placeholder="VPIP % guess" value={player.vpip} onChange={e=>onChange({ vpip: e.target.value })} />
+          <input className="px-2 py-1 rounded border w-24" placeholder="PFR % guess" value={player.pfr} onChange={e=>onChange({ pfr: e.target.value })} />
+        </>}
+        <button className="ml-auto text-xs underline" onClick={onClose}>Close</button>
+      </div>
+      <input className="w-full px-2 py-1 rounded border mb-2" placeholder="Description (e.g. older guy, Yankees cap, stacks chips high)"
+        value={player.description} onChange={e=>onChange({ description: e.target.value })} />
+      <StatGrid player={player} onTag={(tag)=>onChange({ tag })} />
+
+      <div className="flex gap-2">
+        <input className="flex-1 px-2 py-1 rounded border" placeholder="Add a note, exploit or tell…" value={note}
+          onChange={e=>setNote(e.target.value)} onKeyDown={e=>{ if (e.key === "Enter") saveNote(); }} />
+        <button className="px-3 py-1 rounded-xl bg-zinc-900 text-white" onClick={saveNote}>Add</button>
+      </div>
+      <ul className="mt-2 space-y-1 max-h-48 overflow-auto">
+        {player.notes.slice().reverse().map((n,i)=> (
+          <li key={i} className="border-b last:border-b-0 pb-1">
+            <div className="text-[11px] text-zinc-500">{when(n.at)}{n.location ? ` · ${n.location}` : ""}</div>
+            <div className="whitespace-pre-wrap">{n.text}</div>
+          </li>
+        ))}
+        {player.notes.length === 0 && <li className="text-zinc-500 text-xs">No notes yet{location ? ` — new notes are filed under ${location}` : ""}.</li>}
+      </ul>
+
+      <div className="flex items-center justify-between text-[11px] text-zinc-500 mt-2">
+        <span>Seen: {player.seen.length ? player.seen.slice(-5).reverse().map(s=> s.location ? `${s.date} (${s.location})` : s.date).join(", ") : "never seated"}</span>
+        <button className="underline text-red-600" onClick={()=>{ if (confirm(`Delete ${player.name} and all notes?`)) onDelete(); }}>Delete</button>
+      </div>
+    </div>
+  );
 }
 
-export default function OpponentTracker({ seats = 9 }) {
-  const [players, setPlayers] = useLocalStorage("psa_opponents", Array.from({length:seats}, (_,i)=>({
-    name: `Seat ${i+1}`,
-    tag: "Unknown",
-    vpip: "",
-    pfr: "",
-    notes: ""
-  })));
+/**
+ * Player database. Players live by identity, not by seat: each session you
+ * seat whoever is at the table, and their tag, stats and dated notes follow
+ * them across sessions and casinos. Emptying a seat never deletes anything.
+ * Per-seat taps count this hand's actions; "Next hand" books them.
+ */
+export default function OpponentTracker({ db, onChange: setDb }) {
+  const [location, setLocation] = useStoredValue("psa_location", "");
+  const [taps, setTaps] = useStoredValue("psa_live_hand", []);
+  const [query, setQuery] = useState("");
+  const [seatFor, setSeatFor] = useState(null);
+  const [openId, setOpenId] = useState(null);
+
+  const results = searchPlayers(db, query);
+  const open = openId && db.players[openId];
+  const tapped = taps.some(t=> t && Object.values(t).some(Boolean));
+
+  // Flags toggle; counted flags go up by `step` (down on right-click).
+  function tap(seat, f, step = 1) {
+    setTaps(prev=>{
+      const next = Array.from({ length: db.seats.length }, (_,i)=> ({ ...prev[i] }));
+      next[seat][f.key] = f.count ? Math.max(0, (Number(next[seat][f.key]) || 0) + step) : !next[seat][f.key];
+      return next;
+    });
+  }
+  function nextHand() {
+    setDb(d=> commitHand(d, taps));
+    setTaps([]);
+  }
 
-  function update(i, patch) {
-    setPlayers(prev => prev.map((p,idx)=> idx===i ? {...p, ...patch} : p));
+  function seat(id) {
+    setDb(d=> assignSeat(d, seatFor, id, location.trim()));
+    setSeatFor(null); setQuery("");
+  }
+  function create() {
+    const p = newPlayer(query.trim() || "New player");
+    setDb(d=>{
+      const next = { ...d, players: { ...d.players, [p.id]: p } };
+      return seatFor != null ? assignSeat(next, seatFor, p.id, location.trim()) : next;
+    });
+    setSeatFor(null); setQuery(""); setOpenId(p.id);
   }
 
   return (
     <div className="rounded-2xl p-4 border shadow-sm bg-white dark:bg-zinc-900">
-      <div className="font-semibold mb-2">Opponent Tracker</div>
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-        {players.map((p,i)=>(
-          <div key={i} className="rounded-xl border p-3">
-            <div className="flex items-center gap-2 mb-2">
-              <input
-                className="px-2 py-1 rounded border w-40"
-                value={p.name}
-                onChange={e=>update(i,{name:e.target.value})}
-              />
-              <select
-                className="px-2 py-1 rounded border"
-                value={p.tag}
-                onChange={e=>update(i,{tag:e.target.value})}
-              >
-                {TAGS.map(t=><option key={t} value={t}>{t}</option>)}
-              </select>
-              <input
-                className="px-2 py-1 rounded border w-20"
-                placeholder="VPIP %"
-                value={p.vpip}
-                onChange={e=>update(i,{vpip:e.target.value})}
-              />
-              <input
-                className="px-2 py-1 rounded border w-20"
-                placeholder="PFR %"
-                value={p.pfr}
-                onChange={e=>update(i,{pfr:e.target.value})}
-              />
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">Opponent Tracker</div>
+        <div className="flex items-center gap-2">
+          {Object.keys(db.players).length > 0 && (
+            <DownloadButton className="text-xs underline" filename={`opponents-${new Date().toISOString().slice(0,10)}.csv`} type="text/csv"
+              getContent={()=> playersToCsv(db)}>Export CSV</DownloadButton>
+          )}
+          <input className="px-2 py-1 rounded border text-sm w-44" placeholder="Casino / room" value={location} onChange={e=>setLocation(e.target.value)} />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+        {db.seats.map((id,i)=>{
+          const p = id && db.players[id];
+          return (
+            <div key={i} className={`rounded-xl border px-2 py-1 ${seatFor===i ? "ring-2 ring-blue-500" : ""}`}>
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-zinc-500 w-10">Seat {i+1}</span>
+                {p ? (
+                  <>
+                    <button className="font-medium truncate text-left flex-1" onClick={()=>setOpenId(p.id)}>{p.name}</button>
+                    <SeatSummary player={p} />
+                    <button className="text-zinc-400 hover:text-red-600" title="Empty seat (keeps the player)" onClick={()=>setDb(d=> unassignSeat(d, i))}>×</button>
+                  </>
+                ) : (
+                  <button className="text-xs text-blue-600 underline flex-1 text-left" onClick={()=>setSeatFor(seatFor===i ? null : i)}>
+                    {seatFor===i ? "Pick a player below…" : "Assign"}
+                  </button>
+                )}
+              </div>
+              {p && (
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {HAND_FLAGS.map(f=> (
+                    <button key={f.key} title={f.title} onClick={()=>tap(i, f)}
+                      onContextMenu={f.count ? (e=>{ e.preventDefault(); tap(i, f, -1); }) : undefined}
+                      className={`px-1.5 rounded text-[10px] border ${taps[i]?.[f.key] ? "bg-blue-600 text-white border-blue-600" : "bg-white dark:bg-zinc-900"}`}>
+                      {f.label}{f.count && taps[i]?.[f.key] > 1 ? `×${taps[i][f.key]}` : ""}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
-            <textarea
-              className="w-full h-20 rounded border p-2"
-              placeholder="Notes, exploits, tells…"
-              value={p.notes}
-              onChange={e=>update(i,{notes:e.target.value})}
-            />
-          </div>
-        ))}
+          );
+        })}
       </div>
+      <div className="flex items-center justify-between mt-2 text-xs">
+        <span className="text-zinc-500">Tap what each seat did, then book the hand. Untapped seats count as a dealt hand.</span>
+        <div className="flex gap-2">
+          {tapped && <button className="underline" onClick={()=>setTaps([])}>Clear taps</button>}
+          <button className="px-3 py-1 rounded-xl bg-blue-600 text-white disabled:opacity-40" disabled={!db.seats.some(Boolean)} onClick={nextHand}>Next hand</button>
+        </div>
+      </div>
+
+      <div className="flex gap-2 mt-3">
+        <input className="flex-1 px-2 py-1 rounded border" placeholder="Search name, description, notes…" value={query} onChange={e=>setQuery(e.target.value)} />
+        <button className="px-3 py-1 rounded-xl bg-zinc-900 text-white text-sm" onClick={create}>
+          {seatFor != null ? `New in seat ${seatFor+1}` : "New player"}
+        </button>
+      </div>
+      <ul className="mt-2 max-h-56 overflow-auto text-sm">
+        {results.map(p=>{
+          const seated = db.seats.indexOf(p.id);
+          return (
+            <li key={p.id} className="flex items-center gap-2 border-b last:border-b-0 py-1">
+              <button className="flex-1 text-left min-w-0" onClick={()=>setOpenId(p.id)}>
+                <span className="font-medium">{p.name}</span>
+                <span className="text-xs text-zinc-500 ml-2">{p.tag}{p.description ? ` · ${p.description}` : ""}</span>
+              </button>
+              <span className="text-[11px] text-zinc-500 whitespace-nowrap">{seated >= 0 ? `Seat ${seated+1}` : lastSeen(p) || ""}</span>
+              {seatFor != null && <button className="px-2 rounded bg-blue-600 text-white text-xs" onClick={()=>seat(p.id)}>Seat {seatFor+1}</button>}
+            </li>
+          );
+        })}
+        {results.length === 0 && <li className="text-xs text-zinc-500 py-1">{query ? "No match — add them as a new player." : "No players yet."}</li>}
+      </ul>
+
+      {open && (
+        <PlayerCard key={open.id} player={open} location={location.trim()}
+          onChange={(patch)=>setDb(d=> updatePlayer(d, open.id, patch))}
+          onNote={(text)=>setDb(d=> addNote(d, open.id, text, location.trim()))}
+          onDelete={()=>{ setDb(d=> removePlayer(d, open.id)); setOpenId(null); }}
+          onClose={()=>setOpenId(null)} />
+      )}
     </div>
   );
 }
@@ -1,16 +1,5 @@
 import React from "react";
-
-const POSITIONS = [
-  "UTG",
-  "UTG+1",
-  "MP",
-  "LJ",
-  "HJ",
-  "CO",
-  "BTN",
-  "SB",
-  "BB",
-];
+import { POSITIONS } from "../engine/preflop";
 
 export default function PositionSelector({ heroPos, setHeroPos }) {
   return (
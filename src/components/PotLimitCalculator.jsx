@@ -0,0 +1,46 @@
+import React, { useMemo, useState } from "react";
+import { potLimitMax } from "../engine/betting";
+
+const num = (v)=> Number(v) || 0;
+
+/**
+ * Pot-limit max bet / raise. The Betting Guide's sizes assume no-limit;
+ * in PLO anything above 100% pot (or the raise computed here) isn't legal.
+ */
+export default function PotLimitCalculator() {
+  const [form, setForm] = useState({ pot: "", bet: "", yourIn: "", stack: "" });
+  const res = useMemo(()=> potLimitMax({
+    pot: num(form.pot),
+    bet: num(form.bet),
+    yourIn: num(form.yourIn),
+    stack: form.stack === "" ? Infinity : num(form.stack),
+  }), [form]);
+  const field = (key, label)=> (
+    <label>{label}
+      <input type="number" min="0" className="w-full mt-1 px-2 py-1 rounded border" value={form[key]} onChange={e=>setForm(f=>({...f, [key]: e.target.value}))}/>
+    </label>
+  );
+
+  return (
+    <div className="rounded-2xl p-4 border shadow-sm bg-white dark:bg-zinc-900">
+      <div className="font-semibold mb-2">Pot‑Limit Max Bet</div>
+      <div className="grid grid-cols-2 gap-2 text-sm">
+        {field("pot", "Pot incl. bets ($)")}
+        {field("bet", "Bet facing you ($)")}
+        {field("yourIn", "Your chips in this street ($)")}
+        {field("stack", "Your stack ($, optional)")}
+      </div>
+      <div className="mt-3 grid grid-cols-2 gap-3 text-sm">
+        <div className="rounded-xl bg-zinc-50 dark:bg-zinc-800 p-3">
+          <div className="text-xs text-zinc-500">To call</div>
+          <div className="text-2xl font-bold">${res.toCall.toLocaleString()}</div>
+        </div>
+        <div className="rounded-xl bg-zinc-50 dark:bg-zinc-800 p-3">
+          <div className="text-xs text-zinc-500">{num(form.bet) > 0 ? "Max raise to" : "Max bet"}</div>
+          <div className="text-2xl font-bold">${res.maxTo.toLocaleString()}{res.allIn && <span className="text-xs font-normal ml-1">(all‑in)</span>}</div>
+        </div>
+      </div>
+      <div className="text-[11px] text-zinc-500 mt-2">Max raise = call, then bet the pot after your call.</div>
+    </div>
+  );
+}
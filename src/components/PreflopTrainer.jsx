@@ -0,0 +1,142 @@
+import React, { useState } from "react";
+import RangeEditor from "./RangeEditor";
+import { formatCard } from "../engine/cards";
+import {
+  POSITIONS, OPEN_POSITIONS, FACING_POSITIONS, DEFAULT_CHARTS, ANSWERS,
+  answerLabel, emptyTrainerStats, nextQuestion, grade, recordAnswer,
+} from "../engine/preflop";
+import useStoredValue from "../hooks/useStoredValue";
+
+const CHART_TYPES = [
+  { key: "open", label: "Open", positions: OPEN_POSITIONS },
+  { key: "threeBet", label: "3‑bet vs open", positions: FACING_POSITIONS },
+  { key: "call", label: "Call vs open", positions: FACING_POSITIONS },
+];
+const pct = (r)=> r.total ? `${Math.round(r.right / r.total * 100)}%` : "—";
+
+function ChartEditor({ charts, setCharts }) {
+  const [pos, setPos] = useState("CO");
+  const [type, setType] = useState("open");
+  const types = CHART_TYPES.filter(t=> t.positions.includes(pos));
+  const active = types.some(t=> t.key === type) ? type : types[0].key;
+  const value = charts[pos]?.[active] ?? DEFAULT_CHARTS[pos][active] ?? "";
+  const edited = charts[pos]?.[active] != null;
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex flex-wrap gap-2">
+        <select className="px-2 py-1 rounded border" value={pos} onChange={e=>setPos(e.target.value)}>
+          {POSITIONS.map(p=> <option key={p} value={p}>{p}</option>)}
+        </select>
+        <select className="px-2 py-1 rounded border" value={active} onChange={e=>setType(e.target.value)}>
+          {types.map(t=> <option key={t.key} value={t.key}>{t.label}</option>)}
+        </select>
+        {edited && (
+          <button className="text-xs underline" onClick={()=> setCharts(c=>{ const { [active]: _, ...rest } = c[pos]; return { ...c, [pos]: rest }; })}>Reset to default</button>
+        )}
+      </div>
+      <RangeEditor key={pos + active} gridOpen value={value} placeholder="Empty: never" onChange={v=> setCharts(c=> ({ ...c, [pos]: { ...c[pos], [active]: v } }))} />
+    </div>
+  );
+}
+
+/**
+ * Preflop quiz: a random hand in a random (or your selected) position,
+ * graded against the charts. Misses come back for review on a spaced
+ * schedule until they've been answered right a few times in a row.
+ */
+export default function PreflopTrainer({ heroPos }) {
+  const [charts, setCharts] = useStoredValue("psa_preflop_charts", {});
+  const [stats, setStats] = useStoredValue("psa_preflop_stats", emptyTrainerStats());
+  const [pinned, setPinned] = useState(false);
+  const [tab, setTab] = useState("quiz");
+  const deal = (s, pin)=> nextQuestion(s, { position: pin ? heroPos : null });
+  const [q, setQ] = useState(()=> deal(stats, false));
+  const [feedback, setFeedback] = useState(null);
+
+  function answer(a) {
+    if (feedback) return;
+    const g = grade(charts, q, a);
+    setFeedback({ answer: a, ...g });
+    setStats(s=> recordAnswer(s, q, g.correct));
+  }
+  function next(pin = pinned) {
+    setFeedback(null);
+    setQ(deal(stats, pin));
+  }
+
+  const total = Object.values(stats.byPosition).reduce((a,r)=> ({ right: a.right + r.right, total: a.total + r.total }), { right: 0, total: 0 });
+  const missed = Object.entries(stats.misses).sort((a,b)=> b[1] - a[1]).slice(0, 8);
+  const reviews = Object.values(stats.review);
+  const due = reviews.filter(r=> r.due <= stats.asked).length;
+
+  return (
+    <div className="rounded-2xl p-4 border shadow-sm bg-white dark:bg-zinc-900">
+      <div className="flex items-center gap-2 mb-3">
+        <div className="font-semibold">Preflop Trainer</div>
+        <div className="ml-auto inline-flex rounded-2xl border overflow-hidden text-sm">
+          {[["quiz","Quiz"],["charts","Charts"]].map(([k,l])=> (
+            <button key={k} className={`px-3 py-1 ${tab===k?"bg-blue-600 text-white":"bg-white dark:bg-zinc-900"}`} onClick={()=>setTab(k)}>{l}</button>
+          ))}
+        </div>
+      </div>
+
+      {tab === "charts" ? <ChartEditor charts={charts} setCharts={setCharts} /> : (
+        <>
+          <label className="text-xs flex items-center gap-1 mb-2">
+            <input type="checkbox" checked={pinned} onChange={e=>{ setPinned(e.target.checked); next(e.target.checked); }} />
+            Only quiz my position ({heroPos})
+          </label>
+
+          <div className="rounded-xl bg-zinc-50 dark:bg-zinc-800 p-3">
+            <div className="text-xs text-zinc-500">
+              {q.position} • {q.facing ? `${q.facing} opens, action on you` : "folded to you"}
+              {q.review && <span className="ml-2 px-1 rounded bg-amber-100 text-amber-800">review</span>}
+            </div>
+            <div className="text-3xl font-bold font-mono my-1">{q.cards.map(formatCard).join(" ")}</div>
+            <div className="flex flex-wrap gap-2">
+              {ANSWERS[q.facing ? "facing" : "open"].map(a=> (
+                <button key={a} disabled={!!feedback}
+                  className={`px-4 py-2 rounded-xl ${feedback?.answer===a ? (feedback.correct ? "bg-emerald-600 text-white" : "bg-red-600 text-white") : "bg-zinc-900 text-white"}`}
+                  onClick={()=>answer(a)}>{answerLabel(a)}</button>
+              ))}
+              {feedback && <button className="px-4 py-2 rounded-xl bg-blue-600 text-white ml-auto" onClick={()=>next()}>Next hand</button>}
+            </div>
+            {feedback && (
+              <div className={`mt-2 text-sm ${feedback.correct ? "text-emerald-700" : "text-red-600"}`}>
+                {feedback.correct ? "Correct." : `Chart says ${answerLabel(feedback.best)}.`}{" "}
+                <span className="text-zinc-500">
+                  {q.cls}: {Object.entries(feedback.weights).filter(([,w])=> w > 0).map(([a,w])=> `${answerLabel(a)} ${Math.round(w*100)}%`).join(", ")}
+                </span>
+              </div>
+            )}
+          </div>
+
+          <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+            <div>
+              <div className="font-medium mb-1">Score {total.right}/{total.total} ({pct(total)})</div>
+              <div className="grid grid-cols-3 gap-1 text-xs">
+                {POSITIONS.map(p=> (
+                  <div key={p} className="rounded bg-zinc-50 dark:bg-zinc-800 px-2 py-1">
+                    <span className="font-medium">{p}</span> {pct(stats.byPosition[p] || {})}
+                    <span className="text-zinc-500"> ({stats.byPosition[p]?.total || 0})</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+            <div>
+              <div className="font-medium mb-1">Most missed</div>
+              {missed.length ? (
+                <ul className="text-xs space-y-0.5">
+                  {missed.map(([k,n])=> <li key={k}><span className="font-mono">{k}</span> <span className="text-zinc-500">×{n}</span></li>)}
+                </ul>
+              ) : <div className="text-xs text-zinc-500">Nothing yet.</div>}
+              <div className="text-xs text-zinc-500 mt-1">{reviews.length} hand(s) in review, {due} due now.</div>
+            </div>
+          </div>
+          <button className="mt-2 text-xs underline" onClick={()=>{ if (confirm("Reset trainer stats?")) { setStats(emptyTrainerStats()); setFeedback(null); } }}>Reset stats</button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useMemo, useState } from "react";
+import { GRID_RANKS, gridLabel, parseRange, formatRange, rangeSize } from "../engine/ranges";
+
+const BRUSHES = [1, 0.75, 0.5, 0.25];
+
+/**
+ * Range input for a villain seat: free-text notation plus an optional
+ * 13x13 grid. Clicking a cell paints it with the selected weight (click
+ * again to clear). The grid writes back to the text as compact notation.
+ */
+function RangeGrid({ weights, onChange }) {
+  const [brush, setBrush] = useState(1);
+
+  function paint(cls) {
+    const next = { ...weights };
+    if (next[cls] === brush) delete next[cls]; else next[cls] = brush;
+    onChange(next);
+  }
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center gap-1 mb-1 text-[11px]">
+        <span className="text-zinc-500">Weight</span>
+        {BRUSHES.map(b=> (
+          <button key={b} className={`px-1.5 py-0.5 rounded ${brush===b?"bg-blue-600 text-white":"bg-zinc-100 dark:bg-zinc-800"}`} onClick={()=>setBrush(b)}>{b*100}%</button>
+        ))}
+      </div>
+      <div className="grid gap-px" style={{ gridTemplateColumns: "repeat(13, minmax(0, 1fr))" }}>
+        {GRID_RANKS.map((_, row)=> GRID_RANKS.map((__, col)=> {
+          const cls = gridLabel(row, col);
+          const w = weights[cls] || 0;
+          return (
+            <button
+              key={cls}
+              onClick={()=>paint(cls)}
+              title={w ? `${cls} ${Math.round(w*100)}%` : cls}
+              className={`text-[9px] leading-none py-1 rounded-sm ${w?"text-white":row===col?"bg-zinc-200 dark:bg-zinc-700":"bg-zinc-50 dark:bg-zinc-800"}`}
+              style={w ? { backgroundColor: `rgba(37, 99, 235, ${0.3 + 0.7*w})` } : undefined}
+            >
+              {cls}
+            </button>
+          );
+        }))}
+      </div>
+    </div>
+  );
+}
+
+export default function RangeEditor({ value, onChange, gridOpen = false, placeholder = "QQ+, AKs, AJo+, 76s-54s" }) {
+  const [showGrid, setShowGrid] = useState(gridOpen);
+  const { weights, errors } = useMemo(()=> parseRange(value), [value]);
+  const size = useMemo(()=> rangeSize(weights), [weights]);
+
+  return (
+    <div className="text-sm">
+      <div className="flex items-center gap-2">
+        <input
+          value={value || ""}
+          onChange={e=> onChange(e.target.value)}
+          placeholder={placeholder}
+          className={`flex-1 min-w-0 px-2 py-1 rounded border font-mono text-xs bg-white dark:bg-zinc-900 ${errors.length?"border-red-500":"border-zinc-300"}`}
+        />
+        <button className="text-xs underline" onClick={()=> setShowGrid(g=>!g)}>{showGrid?"Hide grid":"Grid"}</button>
+      </div>
+      <div className="text-[11px] text-zinc-500 mt-1">
+        {size.combos.toFixed(size.combos % 1 ? 1 : 0)} combos ({size.pct.toFixed(1)}%)
+        {errors.length>0 && <span className="text-red-500 ml-2">Can't read: {errors.join(" ")}</span>}
+      </div>
+      {showGrid && <RangeGrid weights={weights} onChange={w=> onChange(formatRange(w))} />}
+    </div>
+  );
+}
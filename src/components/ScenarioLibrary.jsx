@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import useStoredValue from "../hooks/useStoredValue";
+import {
+  newScenario, renameScenario, updateScenario, duplicateScenario, removeScenario,
+  scenarioSummary, shareUrl
+} from "../engine/scenarios";
+
+// Clipboard where allowed, otherwise a prompt the link can be copied from.
+async function copyLink(url) {
+  try { await navigator.clipboard.writeText(url); alert("Link copied."); }
+  catch { prompt("Copy this link:", url); }
+}
+
+/**
+ * Named snapshots of the table. `getSetup()` returns the current table;
+ * `onLoad(setup)` puts one back. Each scenario can be renamed, duplicated,
+ * overwritten with the current table, shared as a link or deleted; the
+ * table itself can be shared without saving it.
+ */
+export default function ScenarioLibrary({ getSetup, onLoad }) {
+  const [scenarios, setScenarios] = useStoredValue("psa_scenarios", []);
+  const [name, setName] = useState("");
+
+  function save() {
+    setScenarios(list=> [newScenario(name, getSetup()), ...list]);
+    setName("");
+  }
+  function rename(s) {
+    const next = prompt("Rename scenario:", s.name);
+    if (next != null) setScenarios(list=> renameScenario(list, s.id, next));
+  }
+  function overwrite(s) {
+    if (confirm(`Replace “${s.name}” with the current table?`)) setScenarios(list=> updateScenario(list, s.id, getSetup()));
+  }
+  function remove(s) {
+    if (confirm(`Delete “${s.name}”?`)) setScenarios(list=> removeScenario(list, s.id));
+  }
+
+  return (
+    <div className="rounded-2xl p-4 border shadow-sm bg-white dark:bg-zinc-900">
+      <div className="font-semibold mb-2">Scenarios</div>
+      <div className="flex gap-2 text-sm">
+        <input className="flex-1 px-2 py-1 rounded border" placeholder="e.g. AKo vs 3-bet pot on K72r"
+          value={name} onChange={e=>setName(e.target.value)} onKeyDown={e=>{ if (e.key === "Enter") save(); }} />
+        <button className="px-3 py-1 rounded-xl bg-emerald-600 text-white" onClick={save}>Save</button>
+        <button className="px-3 py-1 rounded-xl bg-zinc-100" title="Copy a link that opens this exact spot" onClick={()=>copyLink(shareUrl(getSetup()))}>Share table</button>
+      </div>
+      {scenarios.length === 0 ? (
+        <div className="text-xs text-zinc-500 mt-2">Save the table as a named spot to come back to it or share it.</div>
+      ) : (
+        <ul className="mt-2 space-y-1 max-h-72 overflow-auto">
+          {scenarios.map(s=> (
+            <li key={s.id} className="rounded-xl border p-2 text-sm">
+              <div className="flex items-center gap-2">
+                <button className="font-medium text-left hover:underline truncate" title="Load onto the table" onClick={()=>onLoad(s.setup)}>{s.name}</button>
+                <span className="ml-auto text-[11px] text-zinc-500 whitespace-nowrap">{new Date(s.updatedAt).toLocaleDateString()}</span>
+              </div>
+              <div className="text-xs text-zinc-500 truncate">{scenarioSummary(s.setup)}</div>
+              <div className="flex flex-wrap gap-1 mt-1 text-xs">
+                <button className="px-2 py-0.5 rounded bg-zinc-900 text-white" onClick={()=>onLoad(s.setup)}>Load</button>
+                <button className="px-2 py-0.5 rounded bg-zinc-100" onClick={()=>rename(s)}>Rename</button>
+                <button className="px-2 py-0.5 rounded bg-zinc-100" onClick={()=>setScenarios(list=> duplicateScenario(list, s.id))}>Duplicate</button>
+                <button className="px-2 py-0.5 rounded bg-zinc-100" onClick={()=>overwrite(s)}>Update</button>
+                <button className="px-2 py-0.5 rounded bg-zinc-100" onClick={()=>copyLink(shareUrl(s.setup))}>Share link</button>
+                <button className="px-2 py-0.5 rounded bg-zinc-100" onClick={()=>remove(s)}>×</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from "react";
+import { parseCsv, guessMapping, previewSessions, IMPORT_FIELDS } from "../engine/csv";
+
+const money = (x)=> `${x < 0 ? "−" : ""}$${Math.abs(x).toFixed(0)}`;
+
+/**
+ * Spreadsheet import for the session log: upload or paste CSV, map columns
+ * to fields, then check the preview — bad rows and duplicates are flagged
+ * and left out. Nothing is written until "Import".
+ */
+export default function SessionCsvImport({ sessions, onImport, onClose }) {
+  const [text, setText] = useState("");
+  const [rows, setRows] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [keepDupes, setKeepDupes] = useState(false);
+
+  function load(raw) {
+    const parsed = parseCsv(raw);
+    if (parsed.length < 2) return alert("Need a header row and at least one data row.");
+    setRows(parsed);
+    setMapping(guessMapping(parsed[0]));
+  }
+  async function upload(e) {
+    const f = e.target.files[0];
+    if (f) load(await f.text());
+    e.target.value = "";
+  }
+
+  const preview = useMemo(()=> rows && mapping.date != null ? previewSessions(rows.slice(1), mapping, sessions) : [], [rows, mapping, sessions]);
+  const bad = preview.filter(p=> p.errors.length);
+  const dupes = preview.filter(p=> p.duplicate);
+  const good = preview.filter(p=> !p.errors.length && (keepDupes || !p.duplicate));
+
+  function commit() {
+    onImport(good.map(p=> p.session));
+    setRows(null);
+    onClose();
+  }
+
+  return (
+    <div className="rounded-xl border p-3 mt-3 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-medium">Import sessions from CSV</div>
+        <button className="text-xs underline" onClick={onClose}>Close</button>
+      </div>
+      {!rows ? (
+        <>
+          <textarea className="w-full h-24 rounded border p-2 font-mono text-xs" placeholder="Paste CSV (first row = headers)…"
+            value={text} onChange={e=>setText(e.target.value)} />
+          <div className="flex gap-2 mt-1">
+            <button className="px-3 py-1 rounded-xl bg-zinc-900 text-white disabled:opacity-40" disabled={!text.trim()} onClick={()=>load(text)}>Preview</button>
+            <label className="px-3 py-1 rounded-xl bg-zinc-100 cursor-pointer">Upload .csv
+              <input type="file" accept=".csv,text/csv,text/plain" className="hidden" onChange={upload} />
+            </label>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-2 text-xs">
+            {IMPORT_FIELDS.map(f=> (
+              <label key={f.key}>{f.label}{f.required && " *"}
+                <select className="w-full mt-1 px-1 py-1 rounded border" value={mapping[f.key] ?? ""}
+                  onChange={e=>setMapping(m=> ({ ...m, [f.key]: e.target.value === "" ? undefined : Number(e.target.value) }))}>
+                  <option value="">—</option>
+                  {rows[0].map((h,i)=> <option key={i} value={i}>{h || `Column ${i+1}`}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {mapping.date == null ? <div className="text-xs text-red-600 mt-2">Map a date column to preview.</div> : (
+            <>
+              <div className="text-xs mt-3">
+                <b>{good.length}</b> to import
+                {bad.length > 0 && <> • <span className="text-red-600">{bad.length} with errors (skipped)</span></>}
+                {dupes.length > 0 && <> • <span className="text-amber-600">{dupes.length} duplicate(s)</span>{" "}
+                  <label><input type="checkbox" checked={keepDupes} onChange={e=>setKeepDupes(e.target.checked)} /> import anyway</label></>}
+              </div>
+              <div className="max-h-56 overflow-auto mt-1">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left border-b"><th className="py-1 pr-2">Line</th><th className="py-1 pr-2">Date</th><th className="py-1 pr-2">Stakes</th><th className="py-1 pr-2 text-right">Hours</th><th className="py-1 pr-2 text-right">Profit</th><th className="py-1">Status</th></tr>
+                  </thead>
+                  <tbody>
+                    {preview.map(p=> (
+                      <tr key={p.line} className={`border-b last:border-b-0 ${p.errors.length ? "text-red-600" : p.duplicate ? "text-amber-600" : ""}`}>
+                        <td className="py-1 pr-2">{p.line}</td>
+                        <td className="py-1 pr-2">{p.errors.length ? "" : p.session.date}</td>
+                        <td className="py-1 pr-2">{p.session.stakes}</td>
+                        <td className="py-1 pr-2 text-right">{p.session.hours}</td>
+                        <td className="py-1 pr-2 text-right">{money(p.session.cashOut - p.session.buyIn)}</td>
+                        <td className="py-1">{p.errors.length ? p.errors.join("; ") : p.duplicate ? "duplicate" : "ok"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+          <div className="flex gap-2 mt-2">
+            <button className="px-3 py-1 rounded-xl bg-emerald-600 text-white disabled:opacity-40" disabled={!good.length} onClick={commit}>Import {good.length}</button>
+            <button className="px-3 py-1 rounded-xl bg-zinc-100" onClick={()=>setRows(null)}>Start over</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
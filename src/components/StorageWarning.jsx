@@ -0,0 +1,19 @@
+import React from "react";
+import useStoreStatus from "../hooks/useStoreStatus";
+import { clearStoreError } from "../engine/store";
+
+/** Banner shown while changes aren't reaching storage; nothing when all is well. */
+export default function StorageWarning() {
+  const { available, error } = useStoreStatus();
+  if (available && !error) return null;
+  return (
+    <div className="rounded-xl border border-red-300 bg-red-50 p-2 text-sm text-red-700 flex items-start gap-2">
+      <span className="flex-1">
+        {available
+          ? <>Changes aren’t being saved. {error}</>
+          : <>This browser won’t let the app store data (private mode?), so changes aren’t being saved. Export a backup before closing.</>}
+      </span>
+      {available && <button className="px-2 rounded bg-red-100" onClick={clearStoreError}>×</button>}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import React from "react";
+import CardInput from "./CardInput";
+import { formatCard } from "../engine/cards";
+import { STUD_SLOTS, STUD_STREETS, STREET_NAMES, actionOrder } from "../engine/stud";
+
+const SLOT_LABELS = ["Down 1","Down 2","Door","4th","5th","6th","7th ↓"];
+
+function ActionOrder({ players, street }) {
+  return (
+    <div className="rounded-2xl p-3 border shadow-sm bg-white dark:bg-zinc-900 text-sm">
+      <div className="font-medium mb-1">Action order</div>
+      <ul className="space-y-1">
+        {STUD_STREETS.filter(s=> s<=street).map(s=>{
+          const ao = actionOrder(players, s);
+          return (
+            <li key={s}>
+              <span className="font-medium">{STREET_NAMES[s]}:</span>{" "}
+              {ao
+                ? <>Seat {ao.first+1} acts first — {ao.reason}. <span className="text-zinc-500">Order: {ao.order.map(i=>i+1).join(" → ")}</span></>
+                : <span className="text-zinc-500">enter every live seat's up cards</span>}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Seven Card Stud table: up to 8 seats, each with the cards dealt so far on
+ * the selected street. Up cards are what the table sees; folded seats'
+ * cards count as dead for the sim.
+ */
+export default function StudTableEditor({ players, onChange, street, setStreet, blocked }) {
+  return (
+    <div className="space-y-3">
+      <div className="inline-flex rounded-2xl border shadow-sm overflow-hidden">
+        {STUD_STREETS.map(s=> (
+          <button key={s} className={`px-3 py-1 text-sm ${street===s?"bg-blue-600 text-white":"bg-white dark:bg-zinc-900"}`} onClick={()=> setStreet(s)}>{STREET_NAMES[s]}</button>
+        ))}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {players.map((p, i)=> (
+          <div key={i} className={`rounded-2xl p-3 shadow-sm border ${p.active?"bg-white dark:bg-zinc-900":"bg-zinc-50 dark:bg-zinc-800 opacity-60"}`}>
+            <div className="flex items-center justify-between mb-2">
+              <div className="font-medium">Seat {i+1} {p.isHero && <span className="text-blue-600">(You)</span>}</div>
+              <div className="text-sm font-mono">
+                {p.cards.slice(0, street).map((c,j)=> c ? (
+                  <span key={j} className={`ml-1 ${STUD_SLOTS[j]==="down"?"text-zinc-400":""}`}>{formatCard(c)}</span>
+                ) : null)}
+              </div>
+              <label className="text-xs flex items-center gap-1">
+                <input type="checkbox" checked={p.active} onChange={e=> onChange(i, { active: e.target.checked })} /> Active
+              </label>
+            </div>
+            <div className="grid grid-cols-2 gap-1">
+              {STUD_SLOTS.slice(0, street).map((_, j)=> (
+                <CardInput key={j} label={SLOT_LABELS[j]} value={p.cards[j]||""} blocked={blocked} onChange={v=>{
+                  const cards = p.cards.slice(); cards[j] = v; onChange(i, { cards });
+                }} />
+              ))}
+            </div>
+            <div className="flex items-center justify-between mt-2">
+              <button className="text-xs underline" onClick={()=> onChange(i,{ cards: Array(7).fill("") })}>Clear</button>
+              <button className="text-xs underline" onClick={()=> onChange(i,{ isHero: !p.isHero })}>{p.isHero?"Unset hero":"Set as hero"}</button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <ActionOrder players={players} street={street} />
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import { migrateOpponents, newPlayer, emptyPlayerDb } from "./players";
+import { emptyCounts } from "./playerStats";
+import { normalizeSession, bankrollFrom } from "./bankroll";
+import { newScenario } from "./scenarios";
+
+/* ---------------------------- Backup & schema ---------------------------- */
+// All app data is addressed by psa_* keys (see store.js for how they map
+// onto IndexedDB). SCHEMA_VERSION covers their shapes as a whole: bump it
+// and add a MIGRATIONS entry whenever a stored shape changes. The same
+// migrations upgrade pre-IndexedDB localStorage data, this device's
+// IndexedDB data on start-up and any older backup file on restore.
+//   Backup = { app: "poker-stud-app", version, exportedAt, data: { [key]: value } }
+
+export const APP_ID = "poker-stud-app";
+export const SCHEMA_VERSION = 2;
+export const VERSION_KEY = "psa_schema_version";
+const PREFIX = "psa_";
+
+// Stored as plain text rather than JSON.
+const RAW_KEYS = new Set(["psa_notes"]);
+
+// Expected type per key, for validating a restore. Unknown psa_* keys are
+// carried along untouched.
+const KEY_TYPES = {
+  psa_players: "array", psa_board: "array", psa_dead: "array", psa_stud_players: "array",
+  psa_actions: "array", psa_sessions: "array", psa_hands: "array", psa_calibration: "array",
+  psa_guide_rules: "array", psa_opponents: "array", psa_live_hand: "array", psa_scenarios: "array",
+  psa_saved_setup: "object", psa_player_db: "object", psa_preflop_charts: "object",
+  psa_preflop_stats: "object", psa_risk_settings: "object", psa_live_session: "object",
+  psa_stakes: "string", psa_heroPos: "string", psa_game: "string", psa_location: "string", psa_notes: "string",
+  psa_trials: "number", psa_stud_street: "number", psa_bankroll_total: "number", psa_bankroll_start: "number",
+};
+
+// FNV-1a, base 36: short and stable, not cryptographic.
+function hashText(str) {
+  let h = 0x811c9dc5;
+  for (let i=0; i<str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 0x01000193) >>> 0;
+  return h.toString(36);
+}
+
+const typeOf = (v)=> v === null ? "null" : Array.isArray(v) ? "array" : typeof v;
+
+/**
+ * MIGRATIONS[n] upgrades data from version n to n + 1. Version 0 is
+ * anything saved before versioning: the seat-indexed opponent notes and
+ * the running bankroll total. Version 1 kept one saved setup; version 2
+ * keeps a named scenario library.
+ */
+const MIGRATIONS = {
+  0: (data)=>{
+    const out = { ...data };
+    if (out.psa_opponents && !out.psa_player_db) out.psa_player_db = migrateOpponents(out.psa_opponents);
+    if (Array.isArray(out.psa_sessions)) out.psa_sessions = out.psa_sessions.map(normalizeSession);
+    if (out.psa_bankroll_start == null && out.psa_bankroll_total != null) {
+      out.psa_bankroll_start = (Number(out.psa_bankroll_total) || 0) - bankrollFrom(0, out.psa_sessions || []);
+    }
+    return out;
+  },
+  1: (data)=>{
+    const { psa_saved_setup: saved, ...out } = data;
+    if (!saved) return out;
+    // Id from the content, so restoring the same old backup twice merges
+    // into one scenario instead of adding another copy.
+    const id = `saved-${hashText(JSON.stringify(saved))}`;
+    const list = out.psa_scenarios || [];
+    out.psa_scenarios = list.some(s=> s.id === id) ? list : [...list, { ...newScenario("Saved setup", saved), id }];
+    return out;
+  },
+};
+
+export function migrateData(data, from) {
+  let d = data;
+  for (let v=from; v<SCHEMA_VERSION; v++) d = MIGRATIONS[v](d);
+  return d;
+}
+
+/* ------------------------------- Storage ---------------------------------- */
+// `storage` is anything with the Web Storage API — the localStorage the app
+// used before IndexedDB, read once on the way over.
+
+function readKey(storage, key) {
+  const raw = storage.getItem(key);
+  if (raw == null || RAW_KEYS.has(key)) return raw;
+  try { return JSON.parse(raw); } catch { return raw; }
+}
+
+export function readAll(storage) {
+  const data = {};
+  for (let i=0; i<storage.length; i++) {
+    const key = storage.key(i);
+    if (key.startsWith(PREFIX) && key !== VERSION_KEY) data[key] = readKey(storage, key);
+  }
+  return data;
+}
+
+/* ------------------------------ Backup files ------------------------------ */
+export function makeBackup(data, now = new Date()) {
+  return { app: APP_ID, version: SCHEMA_VERSION, exportedAt: now.toISOString(), data };
+}
+
+/*
+ * Per-element checks for the collections, run on restore before migrating.
+ * Each returns the cleaned element, or null to drop it. Sessions and
+ * players are filled out to their full shape, so a record with a missing
+ * field can't break sorting or merging later.
+ */
+const isObj = (x)=> typeOf(x) === "object";
+const list = (x)=> Array.isArray(x) ? x : [];
+const ELEMENTS = {
+  psa_sessions: (x)=> isObj(x) ? normalizeSession(x) : null,
+  psa_hands: (x)=> isObj(x) && x.id != null && Array.isArray(x.seats) ? { holeCards: {}, board: [], unparsed: [], ...x } : null,
+  psa_calibration: (x)=> isObj(x) && Number.isFinite(x.at) ? x : null,
+  psa_scenarios: (x)=> isObj(x) && x.id != null && isObj(x.setup) ? { name: "Untitled", ...x } : null,
+  psa_guide_rules: (x)=> isObj(x) && x.id != null && isObj(x.when) ? x : null,
+};
+
+function cleanPlayer(p, id) {
+  if (!isObj(p) || typeof p.name !== "string") return null;
+  return {
+    ...newPlayer(p.name), ...p, id: p.id || id,
+    counts: { ...emptyCounts(), ...(isObj(p.counts) ? p.counts : {}) },
+    notes: list(p.notes).filter(n=> isObj(n) && typeof n.text === "string").map(n=> ({ at: Number(n.at) || 0, ...n })),
+    seen: list(p.seen).filter(x=> isObj(x) && typeof x.date === "string"),
+  };
+}
+
+function cleanData(data, warnings) {
+  const out = { ...data };
+  for (const [k, check] of Object.entries(ELEMENTS)) {
+    if (!Array.isArray(out[k])) continue;
+    const kept = out[k].map(check).filter(Boolean);
+    if (kept.length < out[k].length) warnings.push(`Skipped ${out[k].length - kept.length} malformed entr${out[k].length - kept.length === 1 ? "y" : "ies"} in ${k}.`);
+    out[k] = kept;
+  }
+  if (isObj(out.psa_player_db)) {
+    const players = {};
+    let bad = 0;
+    for (const [id, p] of Object.entries(isObj(out.psa_player_db.players) ? out.psa_player_db.players : {})) {
+      const c = cleanPlayer(p, id);
+      if (c) players[c.id] = c; else bad++;
+    }
+    if (bad) warnings.push(`Skipped ${bad} malformed player${bad === 1 ? "" : "s"}.`);
+    const seats = list(out.psa_player_db.seats).map(id=> players[id] ? id : null);
+    out.psa_player_db = { players, seats: seats.length ? seats : emptyPlayerDb().seats };
+  }
+  return out;
+}
+
+/**
+ * Checks a parsed backup file and upgrades it to the current schema.
+ * Returns { ok, errors, warnings, from, data }. Files without a version
+ * (a bare { psa_*: … } dump) are treated as version 0; files from a newer
+ * app version are refused rather than guessed at. Malformed entries
+ * inside collections are dropped with a warning (see ELEMENTS).
+ */
+export function readBackup(file) {
+  const errors = [], warnings = [];
+  if (typeOf(file) !== "object") return { ok: false, errors: ["Not a backup file (expected a JSON object)."], warnings };
+  const wrapped = file.app != null || file.data != null;
+  if (wrapped && file.app !== APP_ID) errors.push(`Backup is from "${file.app}", not this app.`);
+  const from = wrapped ? Number(file.version) : 0;
+  if (!Number.isInteger(from) || from < 0) errors.push(`Unknown schema version "${file.version}".`);
+  else if (from > SCHEMA_VERSION) errors.push(`Backup is schema v${from}; this app reads up to v${SCHEMA_VERSION}. Update the app first.`);
+  const raw = wrapped ? file.data : file;
+  if (typeOf(raw) !== "object") errors.push("Backup has no data section.");
+  if (errors.length) return { ok: false, errors, warnings, from };
+
+  const data = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (!k.startsWith(PREFIX)) { warnings.push(`Skipped unknown entry "${k}".`); continue; }
+    const want = KEY_TYPES[k];
+    if (want && v !== null && typeOf(v) !== want) { warnings.push(`Skipped ${k}: expected ${want}, got ${typeOf(v)}.`); continue; }
+    data[k] = v;
+  }
+  if (!Object.keys(data).length) return { ok: false, errors: ["Backup contains no app data."], warnings, from };
+  return { ok: true, errors, warnings, from, data: migrateData(cleanData(data, warnings), from) };
+}
+
+/* --------------------------------- Merge ---------------------------------- */
+const unionBy = (a = [], b = [], key)=>{
+  const seen = new Set(a.map(key));
+  return [...a, ...b.filter(x=> !seen.has(key(x)))];
+};
+
+function mergePlayerDb(cur, inc) {
+  const players = { ...cur.players };
+  for (const [id, p] of Object.entries(inc.players || {})) {
+    const mine = players[id];
+    if (!mine) { players[id] = p; continue; }
+    players[id] = {
+      ...mine,
+      notes: unionBy(mine.notes, p.notes, (n)=> `${n.at}|${n.text}`).sort((a,b)=> a.at - b.at),
+      seen: unionBy(mine.seen, p.seen, (s)=> `${s.date}|${s.location}`).sort((a,b)=> a.date.localeCompare(b.date)),
+      counts: (p.counts?.hands || 0) > (mine.counts?.hands || 0) ? p.counts : mine.counts,
+    };
+  }
+  return { ...cur, players };
+}
+
+// How merge combines a key both sides have; anything else keeps this device's value.
+const MERGERS = {
+  psa_sessions: (a, b)=> unionBy(a, b, (s)=> s.id).sort((x,y)=> (y.date || "").localeCompare(x.date || "")),
+  psa_hands: (a, b)=> unionBy(a, b, (h)=> `${h.site}:${h.id}`),
+  psa_calibration: (a, b)=> unionBy(a, b, (r)=> `${r.at}|${r.guess}`).sort((x,y)=> x.at - y.at).slice(-500),
+  psa_guide_rules: (a, b)=> unionBy(a, b, (r)=> r.id),
+  psa_scenarios: (a, b)=> unionBy(a, b, (s)=> s.id),
+  psa_player_db: mergePlayerDb,
+  psa_preflop_charts: (a, b)=> ({ ...b, ...a }),
+  psa_notes: (a, b)=> a.includes(b) ? a : b.includes(a) ? b : `${a}\n\n${b}`,
+};
+
+/** Combines restored data into current data (both at SCHEMA_VERSION). */
+export function mergeData(current, incoming) {
+  const out = { ...current };
+  for (const [k, v] of Object.entries(incoming)) {
+    if (out[k] == null || out[k] === "") out[k] = v;
+    else if (MERGERS[k] && v != null) out[k] = MERGERS[k](out[k], v);
+  }
+  return out;
+}
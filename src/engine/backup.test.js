@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import { makeBackup, mergeData, migrateData, readAll, readBackup, SCHEMA_VERSION, VERSION_KEY } from "./backup";
+
+const SETUP = { stakes: "$1/$2", players: [], board: ["Ks", "7h", "2c", "", ""], dead: [], game: "holdem" };
+
+// Version-0 data as the app kept it in localStorage before versioning.
+const V0 = {
+  psa_opponents: [
+    { name: "Seat 1", tag: "Unknown", vpip: "", pfr: "", notes: "" },
+    { name: "Big Mike", tag: "LAG", vpip: "40", pfr: "30", notes: "3-bets light" },
+  ],
+  psa_sessions: [{ id: "a", date: "2024-03-09", hours: "4", buyIn: "300", cashOut: "500" }],
+  psa_bankroll_total: 1200,
+  psa_saved_setup: SETUP,
+};
+
+describe("migrateData", ()=>{
+  it("upgrades version-0 data all the way", ()=>{
+    const d = migrateData(V0, 0);
+    const players = Object.values(d.psa_player_db.players);
+    expect(players.map(p=> p.name)).toEqual(["Big Mike"]);
+    expect(d.psa_player_db.seats[1]).toBe(players[0].id);
+    expect(d.psa_sessions[0]).toMatchObject({ hours: 4, buyIn: 300, cashOut: 500, tags: [] });
+    expect(d.psa_bankroll_start).toBe(1000);
+    expect(d.psa_saved_setup).toBeUndefined();
+    expect(d.psa_scenarios).toHaveLength(1);
+    expect(d.psa_scenarios[0]).toMatchObject({ name: "Saved setup", setup: SETUP });
+  });
+
+  it("gives the migrated saved setup an id from its content", ()=>{
+    const once = migrateData({ psa_saved_setup: SETUP }, 1);
+    const again = migrateData({ psa_saved_setup: SETUP, psa_scenarios: once.psa_scenarios }, 1);
+    expect(again.psa_scenarios).toHaveLength(1);
+    expect(migrateData({ psa_saved_setup: SETUP }, 1).psa_scenarios[0].id).toBe(once.psa_scenarios[0].id);
+    expect(migrateData({ psa_saved_setup: { ...SETUP, stakes: "$2/$5" } }, 1).psa_scenarios[0].id).not.toBe(once.psa_scenarios[0].id);
+  });
+
+  it("leaves current data alone", ()=>{
+    const d = { psa_scenarios: [] };
+    expect(migrateData(d, SCHEMA_VERSION)).toBe(d);
+  });
+});
+
+describe("readAll", ()=>{
+  it("reads psa_* keys, JSON-decoded except raw text", ()=>{
+    const items = { psa_trials: "6000", psa_notes: "{not json}", psa_board: '["As"]', [VERSION_KEY]: "1", other: "x" };
+    const keys = Object.keys(items);
+    const storage = { length: keys.length, key: (i)=> keys[i], getItem: (k)=> items[k] ?? null };
+    expect(readAll(storage)).toEqual({ psa_trials: 6000, psa_notes: "{not json}", psa_board: ["As"] });
+  });
+});
+
+describe("readBackup", ()=>{
+  it("round-trips a current backup", ()=>{
+    const data = { psa_stakes: "$1/$2", psa_sessions: [] };
+    const res = readBackup(JSON.parse(JSON.stringify(makeBackup(data))));
+    expect(res).toMatchObject({ ok: true, errors: [], warnings: [], from: SCHEMA_VERSION, data });
+  });
+
+  it("treats a bare dump as version 0 and migrates it", ()=>{
+    const res = readBackup(V0);
+    expect(res.ok).toBe(true);
+    expect(res.from).toBe(0);
+    expect(res.data.psa_scenarios).toHaveLength(1);
+  });
+
+  it("refuses other apps, newer schemas and empty files", ()=>{
+    expect(readBackup([]).ok).toBe(false);
+    expect(readBackup({ app: "other", version: 1, data: { psa_stakes: "x" } }).errors[0]).toMatch(/not this app/);
+    expect(readBackup({ ...makeBackup({ psa_stakes: "x" }), version: SCHEMA_VERSION + 1 }).errors[0]).toMatch(/Update the app/);
+    expect(readBackup(makeBackup({ foo: 1 })).errors).toEqual(["Backup contains no app data."]);
+  });
+
+  it("skips wrongly typed keys and malformed entries with warnings", ()=>{
+    const res = readBackup(makeBackup({
+      psa_trials: "lots",
+      psa_sessions: [{ id: "a", date: "2024-03-09", cashOut: 10 }, null, "junk", { id: "b" }],
+      psa_hands: [{ id: 1, site: "PokerStars", seats: [] }, { id: 2 }],
+      psa_player_db: {
+        players: { p1: { name: "Ann", notes: [{ text: "x", at: 1 }, 5] }, p2: { nope: true } },
+        seats: ["p1", "p2", null],
+      },
+    }));
+    expect(res.ok).toBe(true);
+    expect(res.data.psa_trials).toBeUndefined();
+    expect(res.data.psa_sessions).toHaveLength(2);
+    expect(res.data.psa_sessions[1]).toMatchObject({ id: "b", tags: [], cashOut: 0 });
+    expect(res.data.psa_hands).toHaveLength(1);
+    expect(res.data.psa_player_db.seats).toEqual(["p1", null, null]);
+    expect(res.data.psa_player_db.players.p1.notes).toHaveLength(1);
+    expect(res.warnings).toEqual([
+      "Skipped psa_trials: expected number, got string.",
+      "Skipped 2 malformed entries in psa_sessions.",
+      "Skipped 1 malformed entry in psa_hands.",
+      "Skipped 1 malformed player.",
+    ]);
+  });
+});
+
+describe("mergeData", ()=>{
+  it("unions collections by id and keeps this device's settings", ()=>{
+    const cur = { psa_stakes: "$1/$2", psa_sessions: [{ id: "a", date: "2024-03-09" }], psa_notes: "mine" };
+    const inc = { psa_stakes: "$5/$10", psa_sessions: [{ id: "a", date: "2024-03-09" }, { id: "b", date: "2024-03-12" }, { id: "c" }], psa_notes: "theirs", psa_game: "plo4" };
+    const out = mergeData(cur, inc);
+    expect(out.psa_stakes).toBe("$1/$2");
+    expect(out.psa_game).toBe("plo4");
+    expect(out.psa_sessions.map(s=> s.id)).toEqual(["b", "a", "c"]);
+    expect(out.psa_notes).toBe("mine\n\ntheirs");
+  });
+
+  it("joins a player's notes and keeps the larger sample", ()=>{
+    const mine = { id: "p", name: "Ann", notes: [{ at: 2, text: "b" }], seen: [], counts: { hands: 5 } };
+    const theirs = { ...mine, notes: [{ at: 1, text: "a" }, { at: 2, text: "b" }], counts: { hands: 9 } };
+    const out = mergeData({ psa_player_db: { players: { p: mine }, seats: [] } }, { psa_player_db: { players: { p: theirs }, seats: [] } });
+    expect(out.psa_player_db.players.p.notes.map(n=> n.text)).toEqual(["a", "b"]);
+    expect(out.psa_player_db.players.p.counts.hands).toBe(9);
+  });
+});
@@ -0,0 +1,150 @@
+/* -------------------------------- Bankroll -------------------------------- */
+// Sessions are the source of truth; the bankroll is the starting amount plus
+// every session's result, so editing or deleting a session can't leave a
+// separate running total behind.
+//   Session = { id, date, start, hours, hands, buyIn, cashOut, stakes, game, location, tags: [], notes }
+// `start` is an optional "HH:MM" start time; `hands` is 0 unless counted.
+
+export const STAKE_PRESETS = ["$1/$2", "$1/$3", "$2/$5", "$5/$10"];
+export const HANDS_PER_HOUR = 30; // live full ring, for BB/100
+
+const newId = ()=> `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Reads blinds from strings like "$2/$5", "1/3", "$1/$2/$5" (third is a
+ * straddle) or "2/5 + $10 straddle". Returns null if no big blind is found.
+ */
+export function parseStakes(str) {
+  const nums = String(str || "").replace(/,/g, "").match(/\d+(?:\.\d+)?/g)?.map(Number) || [];
+  if (nums.length < 2) return nums.length === 1 && nums[0] > 0 ? { sb: null, bb: nums[0], straddle: null } : null;
+  return { sb: nums[0], bb: nums[1], straddle: nums[2] ?? null };
+}
+
+export function parseTags(str) {
+  return [...new Set(String(str || "").split(",").map(t=> t.trim()).filter(Boolean))];
+}
+
+// Fills in fields older sessions didn't have and coerces numbers.
+export function normalizeSession(s) {
+  return {
+    id: s.id || newId(),
+    date: s.date || new Date().toISOString().slice(0, 10),
+    start: s.start || "",
+    hours: Number(s.hours) || 0,
+    hands: Number(s.hands) || 0,
+    buyIn: Number(s.buyIn) || 0,
+    cashOut: Number(s.cashOut) || 0,
+    stakes: s.stakes || "",
+    game: s.game || "",
+    location: s.location || "",
+    tags: Array.isArray(s.tags) ? s.tags : parseTags(s.tags),
+    notes: s.notes || "",
+  };
+}
+
+/**
+ * Adds profit, $/hr and BB/100 (at each session's own big blind, over the
+ * counted hands or, failing that, HANDS_PER_HOUR).
+ */
+export function sessionRow(s) {
+  const profit = s.cashOut - s.buyIn;
+  const bb = parseStakes(s.stakes)?.bb;
+  const hands = s.hands || s.hours * HANDS_PER_HOUR;
+  return {
+    ...s, profit,
+    hourly: s.hours ? profit / s.hours : 0,
+    bb100: hands && bb ? profit / bb / hands * 100 : 0,
+  };
+}
+
+export function sessionTotals(rows) {
+  const profit = rows.reduce((a,r)=> a + r.profit, 0);
+  const hours = rows.reduce((a,r)=> a + r.hours, 0);
+  return { count: rows.length, profit, hours, hourly: hours ? profit / hours : 0 };
+}
+
+// Every filter key is optional; `tag` matches any one of a session's tags.
+export function filterSessions(rows, f = {}) {
+  return rows.filter(r=>
+    (!f.stakes || r.stakes === f.stakes) &&
+    (!f.game || r.game === f.game) &&
+    (!f.location || r.location === f.location) &&
+    (!f.tag || r.tags.includes(f.tag)) &&
+    (!f.from || r.date >= f.from) &&
+    (!f.to || r.date <= f.to));
+}
+
+// Distinct non-empty values of a field across sessions, for filter menus.
+export function distinctValues(sessions, field) {
+  const vals = sessions.flatMap(s=> field === "tags" ? s.tags : [s[field]]).filter(Boolean);
+  return [...new Set(vals)].sort();
+}
+
+export function bankrollFrom(start, sessions) {
+  return (Number(start) || 0) + sessions.reduce((a,s)=> a + s.cashOut - s.buyIn, 0);
+}
+
+/* ------------------------------- Analytics -------------------------------- */
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const byDate = (a,b)=> a.date.localeCompare(b.date) || (a.start || "").localeCompare(b.start || "");
+
+/**
+ * Win rate and standard deviation per hour. Sessions of different lengths
+ * are weighted by hours: each session's deviation from the hourly rate is
+ * scaled by 1/√hours, the usual estimator for session-level logs.
+ */
+export function hourlyStats(rows) {
+  const played = rows.filter(r=> r.hours > 0);
+  const hours = played.reduce((a,r)=> a + r.hours, 0);
+  const profit = played.reduce((a,r)=> a + r.profit, 0);
+  const winRate = hours ? profit / hours : 0;
+  const n = played.length;
+  const sdHour = n > 1 ? Math.sqrt(played.reduce((a,r)=> a + (r.profit - winRate * r.hours) ** 2 / r.hours, 0) / (n - 1)) : null;
+  return { n, hours, profit, winRate, sdHour };
+}
+
+// Cumulative profit by session in date order, with the running $/hr and SD/hr.
+// Profit counts every session; the rates only those with hours, as in
+// hourlyStats. One pass: Σ(p − w·h)²/h expands to Σp²/h − (Σp)²/Σh.
+export function cumulativeSeries(rows) {
+  let profit = 0, n = 0, hours = 0, timed = 0, sq = 0;
+  return rows.slice().sort(byDate).map((r,i)=>{
+    profit += r.profit;
+    if (r.hours > 0) { n++; hours += r.hours; timed += r.profit; sq += r.profit ** 2 / r.hours; }
+    const winRate = hours ? timed / hours : 0;
+    const sdHour = n > 1 ? Math.sqrt(Math.max(0, sq - timed ** 2 / hours) / (n - 1)) : null;
+    return { i: i + 1, date: r.date, profit, hourly: winRate, sdHour };
+  });
+}
+
+/** Groups rows by `keyOf(row)` with count, hours, profit, $/hr and SD/hr per group. */
+export function breakdown(rows, keyOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const k = keyOf(r);
+    if (k == null || k === "") continue;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  return [...groups].map(([key, rs])=>{
+    const st = hourlyStats(rs);
+    return { key, count: rs.length, hours: st.hours, profit: rs.reduce((a,r)=> a + r.profit, 0), hourly: st.winRate, sdHour: st.sdHour };
+  });
+}
+
+export const BREAKDOWNS = {
+  month: { label: "Month", keyOf: (r)=> r.date.slice(0, 7) },
+  stakes: { label: "Stakes", keyOf: (r)=> r.stakes },
+  location: { label: "Location", keyOf: (r)=> r.location },
+  game: { label: "Game", keyOf: (r)=> r.game },
+  weekday: { label: "Day of week", keyOf: (r)=> WEEKDAYS[new Date(`${r.date}T12:00:00`).getDay()], order: WEEKDAYS },
+  hour: { label: "Start hour", keyOf: (r)=> r.start ? `${r.start.slice(0, 2)}:00` : null },
+};
+
+// Breakdown rows in a stable display order (weekday order or ascending key).
+export function breakdownBy(rows, dim) {
+  const b = BREAKDOWNS[dim];
+  const out = breakdown(rows, b.keyOf);
+  return b.order ? out.sort((x,y)=> b.order.indexOf(x.key) - b.order.indexOf(y.key)) : out.sort((x,y)=> String(x.key).localeCompare(String(y.key)));
+}
@@ -0,0 +1,117 @@
+/* ---------------------------- Bet-size helpers --------------------------- */
+/**
+ * Pot-limit sizing. `pot` is everything in the middle including bets already
+ * made this street, `bet` the largest bet facing you and `yourIn` what you've
+ * already put in this street. The max raise is a call plus the pot after
+ * that call, so raise-to = bet + pot + toCall. Capped by `stack` if given.
+ */
+export function potLimitMax({ pot, bet = 0, yourIn = 0, stack = Infinity }) {
+  const toCall = Math.max(0, bet - yourIn);
+  const maxTo = bet > 0 ? bet + pot + toCall : pot;
+  const capped = Math.min(maxTo, yourIn + stack);
+  return {
+    toCall,
+    maxTo: capped,
+    maxAdded: capped - yourIn,
+    allIn: capped < maxTo,
+  };
+}
+
+/* ---------------------------- Action tracking ---------------------------- */
+export const BET_STREETS = ["preflop","flop","turn","river"];
+
+// The street being played follows the board: three cards is the flop, etc.
+export function streetFromBoard(board) {
+  const n = board.filter(Boolean).length;
+  return n >= 5 ? "river" : n === 4 ? "turn" : n >= 3 ? "flop" : "preflop";
+}
+
+/**
+ * Replays `actions` ({ seat, street, type, to }) over the seats' starting
+ * stacks (`p.stack`, blank = unknown). `to` is the seat's total for the
+ * street after a post, bet or raise; calls match the current bet and
+ * everything is capped by what the seat has behind.
+ * Returns pot, the bet to match on `street`, per-seat chips in this street
+ * and behind, plus hero's toCall, pot odds, effective stack and SPR.
+ */
+export function trackPot(players, actions, street, heroIndex) {
+  const n = players.length;
+  const start = players.map(p=> p.stack === "" || p.stack == null ? null : Number(p.stack));
+  const invested = Array(n).fill(0);
+  const folded = Array(n).fill(false);
+  let streetIn = Array(n).fill(0);
+  let cur = "preflop";
+  let pot = 0;
+  let bet = 0;
+  const enter = (s)=>{ if (s !== cur) { cur = s; streetIn = Array(n).fill(0); bet = 0; } };
+
+  for (const a of actions) {
+    enter(a.street);
+    const i = a.seat;
+    const behind = start[i] == null ? Infinity : start[i] - invested[i];
+    let add = 0;
+    if (a.type === "fold") folded[i] = true;
+    else if (a.type === "call") add = Math.max(0, Math.min(behind, bet - streetIn[i]));
+    else if (a.type !== "check") add = Math.max(0, Math.min(behind, a.to - streetIn[i]));
+    streetIn[i] += add; invested[i] += add; pot += add;
+    bet = Math.max(bet, streetIn[i]);
+  }
+  if (BET_STREETS.indexOf(street) > BET_STREETS.indexOf(cur)) enter(street);
+
+  const behind = start.map((s,i)=> s == null ? null : s - invested[i]);
+  const heroBehind = behind[heroIndex];
+  const toCall = Math.min(Math.max(0, bet - (streetIn[heroIndex] || 0)), heroBehind ?? Infinity);
+  const villains = behind.filter((b,i)=> i !== heroIndex && b != null && players[i].active && !folded[i]);
+  const effective = heroBehind == null || !villains.length ? null : Math.min(heroBehind, Math.max(...villains));
+  return {
+    pot, bet, streetIn, invested, behind, folded,
+    toCall,
+    potOdds: toCall > 0 ? toCall / (pot + toCall) : null,
+    effective,
+    spr: effective != null && pot > 0 ? effective / pot : null,
+  };
+}
+
+/* ---------------------------- Decision maths ----------------------------- */
+// `pot` is everything in the middle including villain's bet; equity and
+// frequencies are 0..1.
+
+/**
+ * Calling: required equity (= pot odds as a share of the final pot), call
+ * EV, and the extra you'd need to win later for a call to break even.
+ * `implied` is what you expect to win on later streets when you hit.
+ */
+export function callMath({ pot, toCall, equity, implied = 0 }) {
+  const required = toCall > 0 ? toCall / (pot + toCall) : 0;
+  const ev = equity * pot - (1 - equity) * toCall;
+  const evImplied = equity * (pot + implied) - (1 - equity) * toCall;
+  const neededImplied = equity > 0 ? Math.max(0, (1 - equity) * toCall / equity - pot) : Infinity;
+  return { required, potOdds: toCall > 0 ? pot / toCall : Infinity, ev, evImplied, neededImplied };
+}
+
+/**
+ * Betting into `pot`: the caller's minimum defence frequency, the fold
+ * rate a pure bluff needs, and bet EV given your equity when called.
+ */
+export function betMath({ pot, bet, equity, foldPct }) {
+  const mdf = pot / (pot + bet);
+  const breakEvenFold = bet / (pot + bet);
+  const evCalled = equity * (pot + 2 * bet) - bet;
+  const ev = foldPct * pot + (1 - foldPct) * evCalled;
+  return { mdf, breakEvenFold, evCalled, ev };
+}
+
+/**
+ * Raising to `raiseTo` over a bet of `facing`. Villain folds, calls, or
+ * re-raises (the rest), and a re-raise is assumed to make you fold.
+ * `yourIn` is what you already had in on this street.
+ */
+export function raiseMath({ pot, facing, raiseTo, yourIn = 0, equity, foldPct, callPct }) {
+  const added = raiseTo - yourIn;
+  const finalPot = pot + added + Math.max(0, raiseTo - facing);
+  const evCalled = equity * finalPot - added;
+  const reraisePct = Math.max(0, 1 - foldPct - callPct);
+  const ev = foldPct * pot + callPct * evCalled - reraisePct * added;
+  const evCall = callMath({ pot, toCall: Math.max(0, facing - yourIn), equity }).ev;
+  return { added, finalPot, evCalled, reraisePct, ev, evCall };
+}
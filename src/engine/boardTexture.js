@@ -0,0 +1,75 @@
+import { RANK_TO_VAL } from "./cards";
+
+/* ----------------------------- Board texture ----------------------------- */
+// The Betting Guide's board buckets. Matching is by prefix, so the
+// examples in brackets are free to change.
+export const BOARD_TYPES = [
+  "A-high dry (A72r)",
+  "K/Q-high dry (K83r)",
+  "Mid/low dry (J72r, 942r)",
+  "Paired (JJ4r, 772r)",
+  "Low/connected (765r, 964ss)",
+  "Monotone (K72♣♣♣)",
+  "Two-tone (A93♠♥)",
+  "Wet high (KQJtt)",
+];
+const type = (prefix)=> BOARD_TYPES.find(t=> t.startsWith(prefix));
+
+// Most distinct ranks inside any five-rank window (Ace counts high and low).
+function maxInWindow(vals) {
+  const set = new Set(vals);
+  if (set.has(12)) set.add(-1);
+  let best = 0;
+  for (let lo=-1; lo<=8; lo++) {
+    let n = 0;
+    for (let v=lo; v<lo+5; v++) if (set.has(v)) n++;
+    best = Math.max(best, n);
+  }
+  return best;
+}
+
+/**
+ * Reads texture off the entered board (flop or later). Returns null until
+ * at least three cards are in. `type` is the Betting Guide bucket; the
+ * flags describe what the board allows: flushDraw/straightDraw mean a
+ * draw is possible with cards to come, flush/straight that one is made.
+ */
+export function classifyBoard(board) {
+  const cards = board.filter(Boolean);
+  if (cards.length < 3) return null;
+  const vals = cards.map(c=> RANK_TO_VAL[c[0]]);
+  const high = Math.max(...vals);
+  const suitCounts = Object.values(cards.reduce((m,c)=> ({ ...m, [c[1]]: (m[c[1]] || 0) + 1 }), {}));
+  const maxSuit = Math.max(...suitCounts);
+  const paired = new Set(vals).size < vals.length;
+  const window = maxInWindow(vals);
+  // Two ranks one or two apart leave room for open-enders.
+  const close = vals.some((a,i)=> vals.some((b,j)=> i !== j && a !== b && Math.abs(a - b) <= 2));
+  const toCome = cards.length < 5;
+  const broadway = vals.filter(v=> v >= RANK_TO_VAL.T).length;
+
+  const flop = cards.slice(0, 3);
+  const flopSuits = new Set(flop.map(c=> c[1])).size;
+  const suits = flopSuits === 1 ? "monotone" : flopSuits === 2 ? "two-tone" : "rainbow";
+  const connectedness = window >= 3 ? "connected" : close ? "semi-connected" : "disconnected";
+  const flags = {
+    flush: maxSuit >= 3,
+    flushDraw: toCome && maxSuit === 2,
+    straight: window >= 3,
+    straightDraw: toCome && window < 3 && close,
+  };
+  const wet = flags.flush || flags.straight || (flags.flushDraw && close);
+
+  let t;
+  if (maxSuit >= 3 && flopSuits === 1) t = type("Monotone");
+  else if (paired) t = type("Paired");
+  else if (broadway >= 2 && wet) t = type("Wet high");
+  else if (broadway < 2 && (window >= 3 || (close && maxSuit === 2 && high <= RANK_TO_VAL.T))) t = type("Low/connected");
+  // A suit filled in on the turn or river (flop not monotone) still plays two-tone.
+  else if (maxSuit === 2 || flags.flush) t = type("Two-tone");
+  else if (high === RANK_TO_VAL.A) t = type("A-high dry");
+  else if (high >= RANK_TO_VAL.Q) t = type("K/Q-high dry");
+  else t = type("Mid/low dry");
+
+  return { type: t, high: cards[vals.indexOf(high)][0], paired, suits, connectedness, wet, ...flags };
+}
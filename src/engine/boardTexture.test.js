@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { makeDeck } from "./cards";
+import { classifyBoard } from "./boardTexture";
+
+const board = (text)=> classifyBoard(text.match(/../g));
+const bucket = (text)=> board(text).type.split(" (")[0];
+
+describe("classifyBoard", ()=>{
+  it("waits for the flop", ()=>{
+    expect(classifyBoard(["As", "Kd", "", "", ""])).toBeNull();
+  });
+
+  it("buckets dry flops by their high card", ()=>{
+    expect(bucket("As7d2c")).toBe("A-high dry");
+    expect(bucket("Kh8d3c")).toBe("K/Q-high dry");
+    expect(bucket("Jd7c2h")).toBe("Mid/low dry");
+  });
+
+  it("buckets paired, monotone, connected and two-tone flops", ()=>{
+    expect(bucket("JsJd4c")).toBe("Paired");
+    expect(bucket("Kc7c2c")).toBe("Monotone");
+    expect(bucket("7h6d5c")).toBe("Low/connected");
+    expect(bucket("As9s3h")).toBe("Two-tone");
+    expect(bucket("KsQdJh")).toBe("Wet high");
+  });
+
+  it("calls a flush completed on the turn or river wet, not dry", ()=>{
+    const turn = board("Ks7s2h9s");
+    expect(turn).toMatchObject({ flush: true, wet: true, suits: "two-tone" });
+    expect(turn.type).toMatch(/^Two-tone/);
+    const river = board("Ad8c3s5d9d");
+    expect(river).toMatchObject({ flush: true, wet: true, suits: "rainbow" });
+    expect(river.type).not.toMatch(/dry/);
+  });
+
+  it("never puts a wet board in a dry bucket", ()=>{
+    let s = 99;
+    const rand = ()=> (s = (s * 1664525 + 1013904223) >>> 0, s / 2**32);
+    const deck = makeDeck();
+    for (let n=0; n<20000; n++) {
+      const d = deck.slice();
+      const len = 3 + (n % 3);
+      for (let i=0;i<len;i++) { const j = i + Math.floor(rand()*(d.length-i)); [d[i],d[j]] = [d[j],d[i]]; }
+      const t = classifyBoard(d.slice(0, len));
+      if (t.wet) expect(t.type, d.slice(0, len).join("")).not.toMatch(/dry/);
+    }
+  });
+});
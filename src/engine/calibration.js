@@ -0,0 +1,128 @@
+import { makeDeck, RANK_TO_VAL } from "./cards";
+import { bestOf7, handCategory } from "./evaluator";
+
+/* --------------------------- Equity calibration -------------------------- */
+// Drill spots are a hero hand against one to three villains (exact hands or
+// ranges) on a random street; guesses are kept so error and bias can be
+// broken down by what hero held, the street and the field size.
+
+export const DRILL_STREETS = ["preflop","flop","turn"];
+const BOARD_SIZE = { preflop:0, flop:3, turn:4 };
+const DRILL_RANGES = [
+  "QQ+, AKs, AKo",
+  "TT+, AQs+, AKo",
+  "77+, ATs+, KQs, AJo+",
+  "22+, A2s+, K9s+, QTs+, JTs, T9s, ATo+, KJo+",
+  "22+, A2s+, K5s+, Q8s+, J8s+, T8s+, 97s+, 86s+, 75s+, 65s, A7o+, KTo+, QTo+, JTo",
+];
+export const CATEGORIES = ["Two pair+","Top pair+","Weak pair","Draw","Air","Pocket pair","Suited","Offsuit"];
+const MAX_RECORDS = 500;
+
+function shuffled(rng) {
+  const d = makeDeck();
+  for (let i=d.length-1;i>0;i--){ const j=Math.floor(rng()*(i+1)); [d[i],d[j]]=[d[j],d[i]]; }
+  return d;
+}
+
+/** Random drill spot: { hero, board, villains: [{cards}|{range}], street }. */
+export function dealDrill(rng = Math.random) {
+  const d = shuffled(rng);
+  const street = DRILL_STREETS[Math.floor(rng() * DRILL_STREETS.length)];
+  const nVillains = 1 + Math.floor(rng() * rng() * 3);
+  const hero = [d.pop(), d.pop()];
+  const villains = Array.from({length:nVillains}, ()=> rng() < 0.4
+    ? { range: DRILL_RANGES[Math.floor(rng() * DRILL_RANGES.length)] }
+    : { cards: [d.pop(), d.pop()] });
+  const board = d.splice(0, BOARD_SIZE[street]);
+  return { hero, board, villains, street };
+}
+
+function hasStraight(vals) {
+  const has = (v)=> vals.has(v < 0 ? 12 : v); // the Ace plays low in A-5
+  for (let hi=12; hi>=3; hi--) {
+    let run = 0;
+    while (run < 5 && has(hi - run)) run++;
+    if (run === 5) return true;
+  }
+  return false;
+}
+
+// Flush draw or open-ender/double gutter that needs a hole card.
+function hasDraw(hole, board) {
+  const cards = hole.concat(board);
+  for (const s of "shdc") {
+    const n = cards.filter(c=> c[1] === s).length;
+    if (n === 4 && hole.some(c=> c[1] === s)) return true;
+  }
+  const vals = new Set(cards.map(c=> RANK_TO_VAL[c[0]]));
+  const boardVals = new Set(board.map(c=> RANK_TO_VAL[c[0]]));
+  if (hasStraight(vals)) return false;
+  let outs = 0;
+  for (let r=0; r<13; r++) {
+    if (vals.has(r)) continue;
+    if (hasStraight(new Set([...vals, r])) && !hasStraight(new Set([...boardVals, r]))) outs++;
+  }
+  return outs >= 2;
+}
+
+/** Hero's hand category for the drill stats. */
+export function heroCategory(hole, board) {
+  const hi = Math.max(RANK_TO_VAL[hole[0][0]], RANK_TO_VAL[hole[1][0]]);
+  if (!board.length) {
+    if (hole[0][0] === hole[1][0]) return "Pocket pair";
+    return hole[0][1] === hole[1][1] ? "Suited" : "Offsuit";
+  }
+  const cat = handCategory(bestOf7(hole.concat(board)));
+  const boardCat = handCategory(bestOf7(board));
+  // On a paired board "two pair" is usually just hero's one pair plus the
+  // board's; judge that pair on its own.
+  const paired = hole.filter(h=> board.some(b=> b[0] === h[0])).length;
+  const onePair = (cat === 1 && boardCat === 0) || (cat === 2 && boardCat === 1 && (hole[0][0] === hole[1][0] || paired === 1));
+  if (cat >= 2 && cat > boardCat && !onePair) return "Two pair+";
+  if (onePair) {
+    const top = Math.max(...board.map(c=> RANK_TO_VAL[c[0]]));
+    const pairRank = hole[0][0] === hole[1][0] ? RANK_TO_VAL[hole[0][0]]
+      : Math.max(...hole.filter(h=> board.some(b=> b[0] === h[0])).map(h=> RANK_TO_VAL[h[0]]));
+    return pairRank >= top && hi >= top ? "Top pair+" : "Weak pair";
+  }
+  return hasDraw(hole, board) ? "Draw" : "Air";
+}
+
+/** Folds one guess into the record list (newest last, capped). */
+export function addGuess(records, drill, guess, actual) {
+  const rec = {
+    guess, actual,
+    category: heroCategory(drill.hero, drill.board),
+    street: drill.street,
+    field: drill.villains.length > 1 ? "Multiway" : "Heads-up",
+    at: Date.now(),
+  };
+  return [...records, rec].slice(-MAX_RECORDS);
+}
+
+/**
+ * Mean absolute error and bias (guess − actual, positive = overestimate)
+ * grouped by `key` ("category", "street" or "field").
+ */
+export function errorBreakdown(records, key) {
+  const groups = {};
+  for (const r of records) {
+    const g = groups[r[key]] || (groups[r[key]] = { n: 0, abs: 0, bias: 0 });
+    g.n++; g.abs += Math.abs(r.guess - r.actual); g.bias += r.guess - r.actual;
+  }
+  return Object.entries(groups).map(([name, g])=> ({ name, n: g.n, error: g.abs / g.n, bias: g.bias / g.n }));
+}
+
+// Guesses bucketed by 10%: average real equity for each guessed bucket.
+export function calibrationCurve(records) {
+  return Array.from({length:10}, (_,b)=>{
+    const inBin = records.filter(r=> Math.min(9, Math.floor(r.guess / 10)) === b);
+    const mid = b * 10 + 5;
+    return {
+      bucket: mid,
+      perfect: mid,
+      actual: inBin.length ? inBin.reduce((a,r)=> a + r.actual, 0) / inBin.length : null,
+      n: inBin.length,
+    };
+  });
+}
@@ -0,0 +1,30 @@
+/* ----------------------------- Card helpers ------------------------------ */
+export const RANKS = ["2","3","4","5","6","7","8","9","T","J","Q","K","A"];
+export const SUITS = ["s","h","d","c"];
+export const RANK_TO_VAL = Object.fromEntries(RANKS.map((r,i)=>[r,i]));
+// Short Deck (6+) strips the 2s through 5s: 36 cards.
+export const SHORT_DECK_RANKS = RANKS.slice(4);
+
+export function makeDeck(ranks = RANKS) {
+  const deck = [];
+  for (const r of ranks) for (const s of SUITS) deck.push(r + s);
+  return deck;
+}
+export function cardToObj(cs) { return { r: cs[0], s: cs[1], rv: RANK_TO_VAL[cs[0]] }; }
+// `ranks` limits input to the active deck, e.g. no deuces in Short Deck.
+export function parseCard(input, ranks = RANKS) {
+  if (!input || input.length !== 2) return null;
+  const r = input[0].toUpperCase(); const s = input[1].toLowerCase();
+  if (!ranks.includes(r) || !SUITS.includes(s)) return null;
+  return r + s;
+}
+export function formatCard(card) {
+  if (!card) return "";
+  const r = card[0], s = card[1];
+  const suitChar = s === "s" ? "♠" : s === "h" ? "♥" : s === "d" ? "♦" : "♣";
+  return r + suitChar;
+}
+export function removeCards(deck, cards) {
+  const set = new Set(cards.filter(Boolean));
+  return deck.filter(c => !set.has(c));
+}
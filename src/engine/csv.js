@@ -0,0 +1,173 @@
+import { normalizeSession, parseTags, sessionRow } from "./bankroll";
+import { statLine, effectiveTag } from "./playerStats";
+
+/* ---------------------------------- CSV ---------------------------------- */
+// RFC 4180-ish: quoted fields may hold commas, quotes ("") and newlines.
+// Semicolon- and tab-separated files (common from European spreadsheets)
+// are detected from the header line.
+
+export function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const head = src.slice(0, src.search(/\r?\n|$/));
+  const sep = [",", ";", "\t"].map(c=> [c, head.split(c).length]).sort((a,b)=> b[1] - a[1])[0][0];
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i=0; i<src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i+1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === sep) { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i+1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r=> r.some(f=> f.trim() !== ""));
+}
+
+const quote = (v)=> {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// `columns` is [[header, row => value], …].
+export function toCsv(items, columns) {
+  return [columns.map(([h])=> quote(h)), ...items.map(it=> columns.map(([,get])=> quote(get(it))))]
+    .map(r=> r.join(",")).join("\r\n") + "\r\n";
+}
+
+/* -------------------------------- Sessions -------------------------------- */
+export const SESSION_COLUMNS = [
+  ["date", (s)=> s.date], ["start", (s)=> s.start], ["hours", (s)=> s.hours], ["hands", (s)=> s.hands || ""],
+  ["buy_in", (s)=> s.buyIn], ["cash_out", (s)=> s.cashOut], ["profit", (s)=> sessionRow(s).profit],
+  ["stakes", (s)=> s.stakes], ["game", (s)=> s.game], ["location", (s)=> s.location],
+  ["tags", (s)=> s.tags.join(", ")], ["notes", (s)=> s.notes],
+];
+
+export function sessionsToCsv(sessions) {
+  return toCsv(sessions.map(normalizeSession), SESSION_COLUMNS);
+}
+
+// Fields a spreadsheet column can be mapped to. `profit` stands in for
+// cash-out when a sheet only tracks results.
+export const IMPORT_FIELDS = [
+  { key: "date", label: "Date", required: true, match: /date|day/i },
+  { key: "hours", label: "Hours", match: /hour|hrs|duration|length|time played/i },
+  { key: "buyIn", label: "Buy-in", match: /buy.?in|invest/i },
+  { key: "cashOut", label: "Cash-out", match: /cash.?out|out$|end(ing)? stack/i },
+  { key: "profit", label: "Profit (instead of cash-out)", match: /profit|result|win|net|p\/?l/i },
+  { key: "stakes", label: "Stakes", match: /stake|blind|limit/i },
+  { key: "game", label: "Game", match: /game|variant/i },
+  { key: "location", label: "Location", match: /location|casino|venue|room|place/i },
+  { key: "hands", label: "Hands", match: /hands/i },
+  { key: "tags", label: "Tags", match: /tag/i },
+  { key: "notes", label: "Notes", match: /note|comment/i },
+];
+
+/** Best guess of { field: columnIndex } from a header row. */
+export function guessMapping(headers) {
+  const map = {}, used = new Set();
+  for (const f of IMPORT_FIELDS) {
+    const i = headers.findIndex((h,j)=> !used.has(j) && f.match.test(h.trim()));
+    if (i >= 0) { map[f.key] = i; used.add(i); }
+  }
+  return map;
+}
+
+// "$1,234.50", "(300)", "-300", "$-300", "5,5" → numbers; blank → null;
+// junk → NaN. A lone comma before one or two digits is a decimal comma.
+// The sign is read after currency symbols and spaces are stripped.
+export function parseMoney(v) {
+  let s = String(v ?? "").trim();
+  if (!s) return null;
+  if (/^[^.]*\d,\d{1,2}\)?$/.test(s) && s.split(",").length === 2) s = s.replace(",", ".");
+  s = s.replace(/[$€£\s]/g, "");
+  const paren = /^\(.*\)$/.test(s);
+  if (paren) s = s.slice(1, -1);
+  const neg = /^[-−]/.test(s);
+  const n = Number(s.replace(/^[-−]/, "").replace(/,/g, ""));
+  return paren || neg ? -n : n;
+}
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/** ISO (2024-03-09), US (3/9/2024, 3/9/24), "Mar 9 2024" or "9 Mar 2024" → YYYY-MM-DD, else null. */
+export function parseDate(v) {
+  const s = String(v ?? "").trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return iso(+m[1], +m[2], +m[3]);
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (m) return iso(m[3].length === 2 ? 2000 + +m[3] : +m[3], +m[1], +m[2]);
+  m = s.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (m && MONTHS.includes(m[1].toLowerCase())) return iso(+m[3], MONTHS.indexOf(m[1].toLowerCase()) + 1, +m[2]);
+  m = s.match(/^(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})$/i);
+  if (m && MONTHS.includes(m[2].toLowerCase())) return iso(+m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, +m[1]);
+  return null;
+}
+function iso(y, mo, d) {
+  const dt = new Date(Date.UTC(y, mo - 1, d));
+  if (dt.getUTCMonth() !== mo - 1 || dt.getUTCDate() !== d) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+const dupKey = (s)=> [s.date, s.stakes, s.hours, s.buyIn, s.cashOut].join("|");
+
+/**
+ * Turns data rows into sessions using `mapping` ({ field: columnIndex }).
+ * Each result is { line, session, errors, duplicate } — duplicates match
+ * an existing session (or an earlier row) on date, stakes, hours, buy-in
+ * and cash-out. Nothing is written; the caller keeps the clean rows.
+ */
+export function previewSessions(rows, mapping, existing = []) {
+  const seen = new Set(existing.map(s=> dupKey(normalizeSession(s))));
+  const get = (r, k)=> mapping[k] != null ? (r[mapping[k]] ?? "").trim() : "";
+  return rows.map((r, i)=>{
+    const errors = [];
+    const date = parseDate(get(r, "date"));
+    if (!date) errors.push(`bad date "${get(r, "date")}"`);
+    const num = (k, label)=>{
+      const n = parseMoney(get(r, k));
+      if (Number.isNaN(n)) { errors.push(`bad ${label} "${get(r, k)}"`); return null; }
+      return n;
+    };
+    const hours = num("hours", "hours");
+    const buyIn = num("buyIn", "buy-in") ?? 0;
+    let cashOut = num("cashOut", "cash-out");
+    const profit = num("profit", "profit");
+    if (cashOut == null && profit != null) cashOut = buyIn + profit;
+    if (cashOut == null) errors.push("no cash-out or profit");
+    if (hours != null && hours < 0) errors.push("negative hours");
+    const session = normalizeSession({
+      date: date || "", hours: hours ?? 0, buyIn, cashOut: cashOut ?? 0,
+      hands: num("hands", "hands") ?? 0,
+      stakes: get(r, "stakes"), game: get(r, "game"), location: get(r, "location"),
+      tags: parseTags(get(r, "tags")), notes: get(r, "notes"),
+    });
+    const key = dupKey(session);
+    const duplicate = !errors.length && seen.has(key);
+    if (!errors.length) seen.add(key);
+    return { line: i + 2, session, errors, duplicate };
+  });
+}
+
+/* -------------------------------- Opponents ------------------------------- */
+const statOf = (st, digits = 1)=> st.value == null ? "" : isFinite(st.value) ? st.value.toFixed(digits) : "inf";
+
+export const PLAYER_COLUMNS = [
+  ["name", (p)=> p.name], ["description", (p)=> p.description], ["tag", (p)=> p.tag],
+  ["plays_like", (p)=> effectiveTag(p)], ["hands", (p)=> statLine(p.counts).hands],
+  ["vpip", (p)=> statOf(statLine(p.counts).vpip) || p.vpip], ["pfr", (p)=> statOf(statLine(p.counts).pfr) || p.pfr],
+  ["three_bet", (p)=> statOf(statLine(p.counts).threeBet)], ["af", (p)=> statOf(statLine(p.counts).af, 2)],
+  ["wtsd", (p)=> statOf(statLine(p.counts).wtsd)],
+  ["last_seen", (p)=> p.seen.length ? p.seen[p.seen.length-1].date : ""],
+  ["locations", (p)=> [...new Set(p.seen.map(s=> s.location).filter(Boolean))].join("; ")],
+  ["notes", (p)=> p.notes.map(n=> `${new Date(n.at).toISOString().slice(0, 10)}${n.location ? ` @ ${n.location}` : ""}: ${n.text}`).join("\n")],
+];
+
+export function playersToCsv(db) {
+  return toCsv(Object.values(db.players).sort((a,b)=> a.name.localeCompare(b.name)), PLAYER_COLUMNS);
+}
@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { guessMapping, parseCsv, parseDate, parseMoney, previewSessions, sessionsToCsv } from "./csv";
+
+describe("parseCsv", ()=>{
+  it("keeps commas, doubled quotes and newlines inside quoted fields", ()=>{
+    const text = 'a,b\r\n"x, y","he said ""hi"""\n"two\nlines",z\n';
+    expect(parseCsv(text)).toEqual([["a", "b"], ["x, y", 'he said "hi"'], ["two\nlines", "z"]]);
+  });
+
+  it("detects semicolon and tab separators from the header", ()=>{
+    expect(parseCsv("date;profit\n2024-03-09;5,5")).toEqual([["date", "profit"], ["2024-03-09", "5,5"]]);
+    expect(parseCsv("date\tprofit\n2024-03-09\t1,200")).toEqual([["date", "profit"], ["2024-03-09", "1,200"]]);
+  });
+
+  it("drops a byte-order mark and blank lines", ()=>{
+    expect(parseCsv("\uFEFFa,b\n\n , \n1,2")).toEqual([["a", "b"], ["1", "2"]]);
+  });
+
+  it("reads back what sessionsToCsv writes", ()=>{
+    const csv = sessionsToCsv([{ date: "2024-03-09", hours: 4, buyIn: 300, cashOut: 520, stakes: "$1/$2", tags: ["deep"], notes: 'said "nh", left' }]);
+    const [head, row] = parseCsv(csv);
+    expect(row[head.indexOf("profit")]).toBe("220");
+    expect(row[head.indexOf("notes")]).toBe('said "nh", left');
+  });
+});
+
+describe("parseMoney", ()=>{
+  it.each([
+    ["$-300", -300], ["-$300", -300], ["($300)", -300], ["(300)", -300], ["- 300", -300],
+    ["$1,234.50", 1234.5], ["1,234", 1234], ["5,5", 5.5], ["−$40", -40], ["€ 12", 12],
+  ])("reads %s as %d", (raw, want)=>{
+    expect(parseMoney(raw)).toBe(want);
+  });
+
+  it("returns null for blanks and NaN for junk", ()=>{
+    expect(parseMoney("")).toBeNull();
+    expect(parseMoney("  ")).toBeNull();
+    expect(parseMoney(undefined)).toBeNull();
+    expect(parseMoney("about 40")).toBeNaN();
+  });
+});
+
+describe("parseDate", ()=>{
+  it.each([
+    ["2024-03-09", "2024-03-09"], ["2024-3-9 21:14", "2024-03-09"],
+    ["3/9/2024", "2024-03-09"], ["3/9/24", "2024-03-09"],
+    ["Mar 9 2024", "2024-03-09"], ["March 9, 2024", "2024-03-09"], ["9 Mar 2024", "2024-03-09"],
+  ])("reads %s", (raw, want)=>{
+    expect(parseDate(raw)).toBe(want);
+  });
+
+  it.each(["", "1", "yesterday", "2/30/2024", "2024-13-01", "Foo 9 2024", "9/3"])("rejects %j", (raw)=>{
+    expect(parseDate(raw)).toBeNull();
+  });
+});
+
+describe("previewSessions", ()=>{
+  const [head, ...rows] = parseCsv([
+    "Date,Hours,Buy-in,Cash out,Stakes",
+    "2024-03-09,4,300,520,$1/$2",
+    "2024-03-10,3,200,150,$1/$2",
+    "2024-03-10,3,200,150,$1/$2",
+    "someday,2,100,100,$1/$2",
+    "2024-03-11,2,100,,$1/$2",
+  ].join("\n"));
+  const mapping = guessMapping(head);
+
+  it("maps headers onto session fields", ()=>{
+    expect(mapping).toMatchObject({ date: 0, hours: 1, buyIn: 2, cashOut: 3, stakes: 4 });
+  });
+
+  it("flags rows already saved and repeats within the file", ()=>{
+    const existing = [{ date: "2024-03-09", hours: "4", buyIn: "300", cashOut: "520", stakes: "$1/$2" }];
+    const out = previewSessions(rows, mapping, existing);
+    expect(out.map(r=> r.duplicate)).toEqual([true, false, true, false, false]);
+    expect(out.map(r=> r.line)).toEqual([2, 3, 4, 5, 6]);
+  });
+
+  it("reports bad rows instead of importing them as duplicates", ()=>{
+    const out = previewSessions(rows, mapping);
+    expect(out[3].errors).toEqual(['bad date "someday"']);
+    expect(out[4].errors).toEqual(["no cash-out or profit"]);
+    expect(out[3].duplicate).toBe(false);
+  });
+
+  it("turns a profit column into a cash-out", ()=>{
+    const [h, ...r] = parseCsv("date,buy in,result\n2024-03-09,200,($45)");
+    const [row] = previewSessions(r, guessMapping(h));
+    expect(row.errors).toEqual([]);
+    expect(row.session).toMatchObject({ buyIn: 200, cashOut: 155 });
+  });
+});
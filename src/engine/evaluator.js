@@ -0,0 +1,102 @@
+import { RANKS, SUITS, RANK_TO_VAL } from "./cards";
+
+/* --------------------------- Hand evaluator ------------------------------ */
+// Every hand maps to one integer: category in bits 20+, then up to five
+// ranks (4 bits each, most significant first). Bigger integer = better hand,
+// so showdowns are plain numeric comparisons. Short Deck swaps the flush
+// and full-house slots (flush beats a boat there).
+export const CATEGORY_NAMES = [
+  "High card", "Pair", "Two pair", "Trips", "Straight",
+  "Flush", "Full house", "Quads", "Straight flush",
+];
+export function handCategory(value, shortDeck = false) {
+  const cat = value >> 20;
+  return shortDeck && (cat === 5 || cat === 6) ? 11 - cat : cat;
+}
+
+const CARD_RANK = {};
+const CARD_SUIT = {};
+RANKS.forEach(r=> SUITS.forEach((s,si)=>{ CARD_RANK[r+s] = RANK_TO_VAL[r]; CARD_SUIT[r+s] = si; }));
+
+// Per 13-bit rank mask: highest straight (wheel = 3, none = -1), bit count,
+// and the top five ranks packed as nibbles. Short Deck's low straight is
+// A-6-7-8-9, topped by the 9.
+const STRAIGHT_HIGH = new Int8Array(8192);
+const SHORT_STRAIGHT_HIGH = new Int8Array(8192);
+const POPCOUNT = new Uint8Array(8192);
+const TOP5 = new Int32Array(8192);
+const WHEEL = (1<<12) | 0b1111;
+const SHORT_WHEEL = (1<<12) | (0b1111 << 4);
+for (let m=0;m<8192;m++) {
+  let sh = -1;
+  for (let hi=12;hi>=4;hi--) { const run = 0b11111 << (hi-4); if ((m & run) === run) { sh = hi; break; } }
+  SHORT_STRAIGHT_HIGH[m] = sh === -1 && (m & SHORT_WHEEL) === SHORT_WHEEL ? 7 : sh;
+  if (sh === -1 && (m & WHEEL) === WHEEL) sh = 3;
+  STRAIGHT_HIGH[m] = sh;
+  let cnt = 0, packed = 0;
+  for (let r=12;r>=0;r--) if (m & (1<<r)) {
+    if (cnt < 5) packed |= r << (16 - 4*cnt);
+    cnt++;
+  }
+  POPCOUNT[m] = cnt;
+  TOP5[m] = packed;
+}
+// Top n ranks of a mask, packed into the low n nibbles.
+function top(mask, n) { return TOP5[mask] >> (4 * (5 - n)); }
+
+const counts = new Uint8Array(13);
+const suitMasks = new Int32Array(4);
+
+// Best five-card hand out of 5–7 cards. Fewer cards (a Stud player's
+// exposed board) still order correctly by pairs, trips and high cards.
+export function bestOf7(cards, shortDeck = false) {
+  const straights = shortDeck ? SHORT_STRAIGHT_HIGH : STRAIGHT_HIGH;
+  counts.fill(0); suitMasks.fill(0);
+  let rankMask = 0;
+  for (let i=0;i<cards.length;i++) {
+    const r = CARD_RANK[cards[i]];
+    counts[r]++; rankMask |= 1 << r; suitMasks[CARD_SUIT[cards[i]]] |= 1 << r;
+  }
+
+  let flush = 0;
+  for (let s=0;s<4;s++) if (POPCOUNT[suitMasks[s]] >= 5) flush = suitMasks[s];
+  if (flush) {
+    const sf = straights[flush];
+    if (sf >= 0) return (8 << 20) | (sf << 16);
+  }
+
+  let quad = -1, trip = -1, trip2 = -1, pair = -1, pair2 = -1;
+  for (let r=12;r>=0;r--) {
+    const c = counts[r];
+    if (c === 4) quad = r;
+    else if (c === 3) { if (trip < 0) trip = r; else if (trip2 < 0) trip2 = r; }
+    else if (c === 2) { if (pair < 0) pair = r; else if (pair2 < 0) pair2 = r; }
+  }
+
+  if (quad >= 0) return (7 << 20) | (quad << 16) | (top(rankMask & ~(1<<quad), 1) << 12);
+  const boat = trip >= 0 && (trip2 >= 0 || pair >= 0);
+  if (shortDeck && flush) return (6 << 20) | TOP5[flush];
+  if (boat) return ((shortDeck ? 5 : 6) << 20) | (trip << 16) | (Math.max(trip2, pair) << 12);
+  if (flush) return (5 << 20) | TOP5[flush];
+  const st = straights[rankMask];
+  if (st >= 0) return (4 << 20) | (st << 16);
+  if (trip >= 0) return (3 << 20) | (trip << 16) | (top(rankMask & ~(1<<trip), 2) << 8);
+  if (pair2 >= 0) return (2 << 20) | (pair << 16) | (pair2 << 12) | (top(rankMask & ~(1<<pair) & ~(1<<pair2), 1) << 8);
+  if (pair >= 0) return (1 << 20) | (pair << 16) | (top(rankMask & ~(1<<pair), 3) << 4);
+  return TOP5[rankMask];
+}
+
+// Omaha: exactly two cards from hand and three from the board.
+export function bestOmaha(hole, board) {
+  let best = -1;
+  const five = ["","","","",""];
+  for (let a=0;a<hole.length-1;a++) for (let b=a+1;b<hole.length;b++) {
+    five[0] = hole[a]; five[1] = hole[b];
+    for (let c=0;c<board.length-2;c++) for (let d=c+1;d<board.length-1;d++) for (let e=d+1;e<board.length;e++) {
+      five[2] = board[c]; five[3] = board[d]; five[4] = board[e];
+      const v = bestOf7(five);
+      if (v > best) best = v;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { makeDeck, parseCard, SHORT_DECK_RANKS } from "./cards";
+import { keepInDeck } from "./games";
+import { bestOf7, bestOmaha, handCategory } from "./evaluator";
+import { bestOf7 as legacyBestOf7, compareRank } from "../bench/legacyEvaluator";
+import { checkOrdering } from "../bench/evaluatorBench";
+
+// Seeded shuffle so a failure always reproduces with the same hands.
+function randomHands(count, seed) {
+  let s = seed >>> 0;
+  const rand = ()=> (s = (s * 1664525 + 1013904223) >>> 0, s / 2**32);
+  const deck = makeDeck();
+  return Array.from({ length: count }, ()=>{
+    const d = deck.slice();
+    for (let i=0;i<7;i++) { const j = i + Math.floor(rand()*(d.length-i)); [d[i],d[j]] = [d[j],d[i]]; }
+    return d.slice(0, 7);
+  });
+}
+
+const value = (hand, shortDeck)=> bestOf7(hand.split(" "), shortDeck);
+
+describe("bestOf7", ()=>{
+  it("orders hands exactly like the legacy rank5/bestOf7", ()=>{
+    const hands = randomHands(3000, 11);
+    const legacy = hands.map(h=> legacyBestOf7(h));
+    const table = hands.map(h=> bestOf7(h));
+    for (let i=0;i<hands.length;i++) {
+      expect(handCategory(table[i])).toBe(legacy[i][0]);
+      for (let j=i+1;j<hands.length;j+=37) {
+        expect(Math.sign(table[i] - table[j]), `${hands[i]} vs ${hands[j]}`).toBe(Math.sign(compareRank(legacy[i], legacy[j])));
+      }
+    }
+  });
+
+  it("passes the benchmark page's ordering check", ()=>{
+    expect(checkOrdering(5000).mismatches).toEqual([]);
+  });
+
+  it("ranks the wheel as the lowest straight", ()=>{
+    expect(value("As 5d 4c 3h 2s Kd Qc")).toBeLessThan(value("6s 5d 4c 3h 2s Kd Qc"));
+    expect(handCategory(value("Ah 5h 4h 3h 2h Kd Qc"))).toBe(8);
+  });
+
+  it("builds a full house from two sets of trips", ()=>{
+    expect(handCategory(value("9s 9d 9c Ks Kd Kc 2c"))).toBe(6);
+    expect(value("9s 9d 9c Ks Kd Kc 2c")).toBe(value("Ks Kd Kc 9s 9d 2h 3c"));
+  });
+
+  it("ignores the seventh card's kicker beyond the best five", ()=>{
+    expect(value("Qs Qd Jc Jh 4s 4d Ac")).toBe(value("Qs Qd Jc Jh 4s 3d Ac"));
+  });
+});
+
+describe("Short Deck", ()=>{
+  it("puts flushes above full houses", ()=>{
+    const flush = value("Ah Jh 8h 7h 6h Kc Qd", true);
+    const boat = value("9s 9d 9c Ks Kd 7c 6d", true);
+    expect(flush).toBeGreaterThan(boat);
+    expect(handCategory(flush, true)).toBe(5);
+    expect(handCategory(boat, true)).toBe(6);
+    expect(value("Ah Jh 8h 7h 6h Kc Qd")).toBeLessThan(value("9s 9d 9c Ks Kd 7c 6d"));
+  });
+
+  it("plays A-6-7-8-9 as the lowest straight", ()=>{
+    const low = value("As 6d 7c 8h 9s Kd Kc", true);
+    expect(handCategory(low, true)).toBe(4);
+    expect(low).toBeLessThan(value("6s 7d 8c 9h Ts Kd Kc", true));
+    expect(handCategory(value("As 6d 7c 8h 9s Kd Qc"))).toBe(0);
+  });
+
+  it("deals and reads only sixes and up", ()=>{
+    expect(makeDeck(SHORT_DECK_RANKS)).toHaveLength(36);
+    expect(parseCard("5s", SHORT_DECK_RANKS)).toBeNull();
+    expect(parseCard("6s", SHORT_DECK_RANKS)).toBe("6s");
+    expect(keepInDeck(["As", "2d", "", "6c"], SHORT_DECK_RANKS)).toEqual(["As", "", "", "6c"]);
+  });
+});
+
+describe("bestOmaha", ()=>{
+  it("uses exactly two hole cards", ()=>{
+    // Four hearts on board plus one heart in hand is not a flush in Omaha.
+    const v = bestOmaha(["Ah","Kc","Qd","2s"], ["3h","7h","9h","Jh","4c"]);
+    expect(handCategory(v)).toBe(0);
+    expect(handCategory(bestOf7(["Ah","Kc","3h","7h","9h","Jh","4c"]))).toBe(5);
+  });
+});
@@ -0,0 +1,48 @@
+import { RANKS, SHORT_DECK_RANKS } from "./cards";
+
+/* ----------------------------- Game variants ----------------------------- */
+// Board games share the seat/board editors and differ in hole-card count
+// and hand rules; Stud has its own table editor.
+export const GAMES = {
+  holdem: { label: "Hold’em", title: "9‑Max NL Hold’em", holeCards: 2 },
+  shortdeck: { label: "Short Deck", title: "9‑Max Short Deck (6+)", holeCards: 2, shortDeck: true },
+  plo4:   { label: "PLO", title: "9‑Max Pot‑Limit Omaha", holeCards: 4, omaha: true, potLimit: true },
+  plo5:   { label: "PLO5", title: "9‑Max 5‑Card PLO", holeCards: 5, omaha: true, potLimit: true },
+  stud:   { label: "7‑Card Stud", title: "8‑Max 7‑Card Stud", holeCards: 7, stud: true },
+};
+
+export function gameInfo(game) { return GAMES[game] || GAMES.holdem; }
+export function deckRanks(variant) { return variant.shortDeck ? SHORT_DECK_RANKS : RANKS; }
+
+// Drops cards the variant's deck doesn't have (switching into Short Deck).
+export function keepInDeck(cards, ranks) {
+  return cards.map(c=> c && ranks.includes(c[0]) ? c : "");
+}
+
+// Pads or trims every seat's hole cards to the variant's count.
+export function resizeHands(players, holeCards) {
+  return players.map(p=> ({
+    ...p,
+    cards: Array.from({length:holeCards}, (_,i)=> p.cards[i] || ""),
+    range: holeCards === 2 ? p.range : null,
+  }));
+}
+
+/**
+ * Turns a board-game table into simulateEquity options. Only seats still in
+ * the hand play; folded seats' known cards are dead. `seats` maps result
+ * rows back to seat numbers, as studSimSpec does.
+ */
+export function boardSimSpec(players, board, dead, variant) {
+  const live = players.map((p,i)=>({ p, i })).filter(x=>x.p.active);
+  const foldedCards = players.filter(p=>!p.active).flatMap(p=>p.cards).filter(Boolean);
+  return {
+    players: live.map(x=>x.p),
+    seats: live.map(x=>x.i),
+    board: board.filter(Boolean),
+    dead: [...dead, ...foldedCards],
+    holeCards: variant.holeCards,
+    omaha: variant.omaha,
+    shortDeck: variant.shortDeck,
+  };
+}
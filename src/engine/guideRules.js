@@ -0,0 +1,80 @@
+/* ------------------------- Betting guide rules --------------------------- */
+// Every matching rule nudges the c-bet frequency and size from a baseline,
+// so board, opponent, SPR, position and field size all add up instead of
+// the first match winning. Custom rules use the same shape:
+//   { id, name, when: { board, opp, position, multiway, wet, sprMin, sprMax },
+//     freq, size, note }
+// where every `when` key is optional and `board` matches by prefix.
+
+export const OPP_TYPES = ["TAG", "LAG", "Calling Station", "Nit", "Maniac", "Unknown"];
+export const BASELINE = { freq: 55, size: 33 };
+const LIMITS = { freq: [10, 95], size: [25, 150] };
+
+export const BUILTIN_RULES = [
+  { id: "b-ahigh", name: "A-high dry board", when: { board: "A-high dry" }, freq: 15, size: 0, note: "Range bet OK; mix checks OOP." },
+  { id: "b-kq", name: "K/Q-high dry board", when: { board: "K/Q-high" }, freq: 5, size: 0, note: "Advantage on BTN/CO; mix checks OOP." },
+  { id: "b-mid", name: "Mid/low dry board", when: { board: "Mid/low dry" }, freq: -5, size: 0, note: "Less range edge; bet hands that want protection." },
+  { id: "b-paired", name: "Paired board", when: { board: "Paired" }, freq: 10, size: 0, note: "Pressure with overcards/backdoors." },
+  { id: "b-lowconn", name: "Low/connected board", when: { board: "Low/connected" }, freq: -20, size: 17, note: "Board hits caller; reduce freq." },
+  { id: "b-mono", name: "Monotone board", when: { board: "Monotone" }, freq: -15, size: 0, note: "Small sizings keep range wide." },
+  { id: "b-twotone", name: "Two-tone board", when: { board: "Two-tone" }, freq: 0, size: 0, note: "Standard; plan turns on FD cards." },
+  { id: "b-wethigh", name: "Wet high board", when: { board: "Wet high" }, freq: -5, size: 33, note: "Bigger for protection/value." },
+  { id: "o-station", name: "Vs calling station", when: { opp: "Calling Station" }, freq: -10, size: 15, note: "Value big; bluff less." },
+  { id: "o-nit", name: "Vs nit", when: { opp: "Nit" }, freq: 10, size: -5, note: "Bluff more; thin value less." },
+  { id: "o-maniac", name: "Vs maniac", when: { opp: "Maniac" }, freq: -15, size: 10, note: "Check strong hands and let them bluff; value bet thinner." },
+  { id: "o-lag", name: "Vs LAG", when: { opp: "LAG" }, freq: -5, size: 10, note: "Larger sizings; call down wider." },
+  { id: "s-low", name: "Low SPR (≤ 3)", when: { sprMax: 3 }, freq: 0, size: 10, note: "Low SPR → bigger sizings/commitment." },
+  { id: "s-high", name: "High SPR (≥ 6)", when: { sprMin: 6 }, freq: -5, size: 0, note: "High SPR → smaller pots without strong equity." },
+  { id: "p-ip", name: "In position", when: { position: "IP" }, freq: 5, size: 0, note: "Position lets you realise more equity." },
+  { id: "p-oop", name: "Out of position", when: { position: "OOP" }, freq: -10, size: 0, note: "Check more OOP; protect your checking range." },
+  { id: "m-multi", name: "Multiway pot", when: { multiway: true }, freq: -20, size: 5, note: "Multiway: bet strong hands and good draws only." },
+];
+
+// Without a read on the caller's seat, late positions are assumed to be in
+// position postflop and the blinds out of it.
+export function guessInPosition(heroPos) {
+  return ["CO","BTN"].includes(heroPos) ? "IP" : "OOP";
+}
+
+function matches(when, ctx) {
+  if (when.board && !ctx.board.startsWith(when.board)) return false;
+  if (when.opp && when.opp !== ctx.opp) return false;
+  if (when.position && when.position !== ctx.position) return false;
+  if (when.multiway != null && when.multiway !== ctx.multiway) return false;
+  if (when.wet != null && (ctx.texture == null || when.wet !== ctx.texture.wet)) return false;
+  if (when.sprMin != null && !(ctx.spr >= when.sprMin)) return false;
+  if (when.sprMax != null && !(ctx.spr <= when.sprMax)) return false;
+  return true;
+}
+
+const clamp = (x, [lo, hi])=> Math.min(hi, Math.max(lo, x));
+
+/**
+ * Applies every matching rule to the baseline. `ctx` is { board, texture,
+ * opp, spr, position: "IP"|"OOP", multiway }. Returns the clamped freq and
+ * size plus each contributing rule so the guide can show its working.
+ */
+export function evaluateGuide(ctx, rules = BUILTIN_RULES) {
+  const applied = rules.filter(r=> matches(r.when || {}, ctx));
+  const raw = applied.reduce((a,r)=> ({ freq: a.freq + (r.freq || 0), size: a.size + (r.size || 0) }), { ...BASELINE });
+  const freq = clamp(raw.freq, LIMITS.freq);
+  const size = clamp(raw.size, LIMITS.size);
+  return {
+    freq, size, applied,
+    clamped: freq !== raw.freq || size !== raw.size,
+    note: applied.map(r=> r.note).filter(Boolean).join(" ") || "Baseline c-bet.",
+  };
+}
+
+// Human-readable condition list for a rule.
+export function describeWhen(when = {}) {
+  const parts = [];
+  if (when.board) parts.push(`board ${when.board}`);
+  if (when.opp) parts.push(`vs ${when.opp}`);
+  if (when.position) parts.push(when.position);
+  if (when.multiway != null) parts.push(when.multiway ? "multiway" : "heads-up");
+  if (when.wet != null) parts.push(when.wet ? "wet" : "dry");
+  if (when.sprMin != null) parts.push(`SPR ≥ ${when.sprMin}`);
+  if (when.sprMax != null) parts.push(`SPR ≤ ${when.sprMax}`);
+  return parts.join(", ") || "always";
+}
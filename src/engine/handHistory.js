@@ -0,0 +1,202 @@
+import { parseCard } from "./cards";
+
+/* ------------------------- Hand history parsing -------------------------- */
+// Reads PokerStars- and GGPoker-style text exports. Each hand becomes
+// { id, site, game, stakes, date, table, maxSeats, buttonSeat, seats, posts,
+//   hero, holeCards, board, actions, results, totalPot, rake, unparsed }.
+// Lines no rule recognises are collected in `unparsed` with their line
+// number instead of being dropped silently.
+
+export const STREETS = ["preflop","flop","turn","river"];
+
+const AMT = "[$€£]?([\\d,]+(?:\\.\\d+)?)";
+const amount = (s)=> s == null ? 0 : Number(String(s).replace(/,/g, ""));
+const cardsIn = (s)=> (s || "").trim().split(/\s+/).map(c=>parseCard(c)).filter(Boolean);
+
+const HEADER = /^(PokerStars(?: Zoom| Home Game)? Hand|Poker Hand|GGPoker Hand) #([\w-]+):\s+(.+?)\s+\(([^)]*)\)\s*(?:\[[^\]]*\]\s*)?-\s*(.+?)\s*$/;
+const TABLE = /^Table '(.+?)' (\d+)-max (?:\(.*?\) )?Seat #(\d+) is the button/;
+const SEAT = new RegExp(`^Seat (\\d+): (.+?) \\(${AMT} in chips(?:,.*?)?\\)(.*)$`);
+const STREET = /^\*\*\* ?(HOLE CARDS|PRE-FLOP|(?:FIRST |SECOND )?FLOP|(?:FIRST |SECOND )?TURN|(?:FIRST |SECOND )?RIVER|SHOW ?DOWN|(?:FIRST |SECOND )?SHOWDOWN|SUMMARY) ?\*\*\*(.*)$/;
+const DEALT = /^Dealt to (.+?)(?: \[(.+)\])?\s*$/;
+const POST = new RegExp(`^(.+?): posts (small blind|big blind|the ante|ante|small & big blinds|straddle|missing blind|dead blind) ${AMT}(?: and ${AMT})?( and is all-in)?$`);
+const ACTION = new RegExp(`^(.+?): (folds|checks|calls|bets|raises)(?: ${AMT})?(?: to ${AMT})?( and is all-in)?(?: \\[(.+)\\])?\\s*$`);
+const SHOWS = /^(.+?): shows \[(.+?)\](?: \((.*)\))?$/;
+const MUCKS = /^(.+?): (mucks hand|doesn't show hand|shows hand)/;
+const UNCALLED = new RegExp(`^Uncalled bet \\(${AMT}\\) returned to (.+)$`);
+const COLLECTED = new RegExp(`^(.+?) collected ${AMT} from (?:(?:side|main) )?pot(?:-\\d+)?$`);
+const CASHOUT = new RegExp(`^(.+?) (?:cashed out the hand for|received) ${AMT}`);
+const TOTAL = new RegExp(`^Total pot ${AMT}.*?\\| Rake ${AMT}`);
+const BOARD = /^Board \[(.+)\]$/;
+const SUMMARY_SHOWN = /^Seat \d+: (.+?) (?:\(.*?\) )*(?:showed|mucked) \[(.+?)\]/;
+const VERBS = { folds:"fold", checks:"check", calls:"call", bets:"bet", raises:"raise" };
+// Table chatter and seat churn: understood, but nothing to record.
+const NOISE = [
+  /^(.+?) said, "/, /: is sitting out$/, /^(.+?) is sitting out$/, /: sits out$/,
+  /has timed out/, /is disconnected/, /is connected/, /has returned$/,
+  /joins the table/, /leaves the table/, /will be allowed to play/, /^Hand was run (?:twice|two times)$/,
+  /^Dealt to .+?\s*$/,
+];
+
+function detectGame(text) {
+  if (/6\+|Short ?Deck/i.test(text)) return "shortdeck";
+  if (/5[- ]Card Omaha|PLO-?5|Omaha ?5/i.test(text)) return "plo5";
+  if (/Omaha/i.test(text)) return "plo4";
+  if (/Hold'?em/i.test(text)) return "holdem";
+  return null;
+}
+
+function parseStakes(text) {
+  const m = /[$€£]?([\d.,]+)\/[$€£]?([\d.,]+)(?:\s+(\w{3}))?/.exec(text);
+  if (!m) return null;
+  return { sb: amount(m[1]), bb: amount(m[2]), currency: m[3] || (text.includes("$") ? "USD" : "") };
+}
+
+function parseHand(lines, startLine) {
+  const hand = {
+    id: null, site: null, game: null, stakes: null, date: null, table: null,
+    maxSeats: null, buttonSeat: null,
+    seats: [], posts: [], hero: null, holeCards: {}, board: [],
+    actions: { preflop: [], flop: [], turn: [], river: [] },
+    results: [], totalPot: null, rake: null, unparsed: [],
+  };
+  let street = null;
+  let summary = false;
+
+  lines.forEach((raw, i)=>{
+    const line = raw.trim();
+    if (!line) return;
+    let m;
+    const miss = ()=> hand.unparsed.push({ line: raw, lineNo: startLine + i });
+
+    if ((m = HEADER.exec(line))) {
+      hand.id = m[2];
+      hand.site = m[1].startsWith("PokerStars") ? "PokerStars" : "GGPoker";
+      hand.game = detectGame(m[3]);
+      hand.stakes = parseStakes(m[4]);
+      hand.date = m[5].replace(/\s*\[.*$/, "");
+      return;
+    }
+    if ((m = TABLE.exec(line))) { hand.table = m[1]; hand.maxSeats = Number(m[2]); hand.buttonSeat = Number(m[3]); return; }
+    if ((m = STREET.exec(line))) {
+      const tag = m[1].replace(/^(FIRST|SECOND) /, "");
+      summary = tag === "SUMMARY";
+      street = tag === "HOLE CARDS" || tag === "PRE-FLOP" ? "preflop"
+        : tag === "FLOP" ? "flop" : tag === "TURN" ? "turn" : tag === "RIVER" ? "river" : "showdown";
+      // "[Ah 7d 2c] [Js]": the last bracket holds the newly dealt card(s).
+      const groups = [...m[2].matchAll(/\[([^\]]+)\]/g)].map(g=>cardsIn(g[1]));
+      if (groups.length && ["flop","turn","river"].includes(street) && !/^SECOND /.test(m[1])) {
+        const all = groups.flat();
+        hand.board = all.length >= hand.board.length ? all : hand.board.concat(groups[groups.length-1]);
+      }
+      return;
+    }
+
+    if (summary) {
+      if ((m = TOTAL.exec(line))) { hand.totalPot = amount(m[1]); hand.rake = amount(m[2]); return; }
+      if ((m = BOARD.exec(line))) { if (!hand.board.length) hand.board = cardsIn(m[1]); return; }
+      if ((m = SUMMARY_SHOWN.exec(line))) { hand.holeCards[m[1]] = cardsIn(m[2]); return; }
+      if (/^(Total pot|Board|Seat \d+:)/.test(line)) return;
+      return miss();
+    }
+
+    if (!street && (m = SEAT.exec(line))) {
+      hand.seats.push({ seat: Number(m[1]), name: m[2], stack: amount(m[3]), sittingOut: /sitting out/.test(m[4]) });
+      return;
+    }
+    if ((m = POST.exec(line))) {
+      const type = /small & big/.test(m[2]) ? "sb+bb" : /small/.test(m[2]) ? "sb" : /big/.test(m[2]) ? "bb"
+        : /ante/.test(m[2]) ? "ante" : /straddle/.test(m[2]) ? "straddle" : "dead";
+      hand.posts.push({ player: m[1], type, amount: amount(m[3]) + amount(m[4]), allIn: !!m[5] });
+      return;
+    }
+    if ((m = DEALT.exec(line)) && m[2]) {
+      const cards = cardsIn(m[2]);
+      hand.holeCards[m[1]] = cards;
+      if (!hand.hero && cards.length) hand.hero = m[1];
+      return;
+    }
+    if ((m = ACTION.exec(line)) && street && street !== "showdown") {
+      const act = { player: m[1], action: VERBS[m[2]] };
+      if (m[3] != null) act.amount = amount(m[3]);
+      if (m[4] != null) act.to = amount(m[4]);
+      if (m[5]) act.allIn = true;
+      hand.actions[street].push(act);
+      if (m[6]) hand.holeCards[m[1]] = cardsIn(m[6]);
+      return;
+    }
+    if ((m = UNCALLED.exec(line))) {
+      if (street && hand.actions[street]) hand.actions[street].push({ player: m[2], action: "uncalled", amount: amount(m[1]) });
+      return;
+    }
+    if ((m = SHOWS.exec(line))) { hand.holeCards[m[1]] = cardsIn(m[2]); return; }
+    if (MUCKS.test(line)) return;
+    if ((m = COLLECTED.exec(line)) || (m = CASHOUT.exec(line))) {
+      hand.results.push({ player: m[1], amount: amount(m[2]) });
+      return;
+    }
+    if (NOISE.some(re=> re.test(line))) return;
+    miss();
+  });
+
+  if (!hand.game) {
+    const most = Math.max(0, ...Object.values(hand.holeCards).map(c=>c.length));
+    hand.game = most === 5 ? "plo5" : most === 4 ? "plo4" : "holdem";
+  } else if (hand.game === "plo4" && Object.values(hand.holeCards).some(c=>c.length === 5)) {
+    hand.game = "plo5";
+  }
+  return hand;
+}
+
+/**
+ * Splits pasted text into hands and parses each. Returns { hands, unparsed }
+ * where `unparsed` lists lines outside any hand (e.g. junk before the first
+ * header). Each hand carries its own `unparsed` list too.
+ */
+export function parseHandHistories(text) {
+  const lines = (text || "").replace(/\r\n?/g, "\n").replace(/^\uFEFF/, "").split("\n");
+  const hands = [];
+  const unparsed = [];
+  let cur = null;
+  lines.forEach((line, i)=>{
+    if (HEADER.test(line.trim())) {
+      if (cur) hands.push(parseHand(cur.lines, cur.start));
+      cur = { lines: [line], start: i + 1 };
+    } else if (cur) cur.lines.push(line);
+    else if (line.trim()) unparsed.push({ line, lineNo: i + 1 });
+  });
+  if (cur) hands.push(parseHand(cur.lines, cur.start));
+  return { hands, unparsed };
+}
+
+/**
+ * Maps a parsed hand onto the app's 9-seat table: seat N → index N-1 where
+ * possible, hero flagged, known cards filled in, folded players and empty
+ * seats inactive, so equity runs only between the players still in.
+ */
+export function handToTable(hand, holeCards = 2, seatsCount = 9) {
+  const players = Array.from({length:seatsCount}, ()=>({ active:false, isHero:false, cards:Array(holeCards).fill("") }));
+  const folded = new Set(STREETS.flatMap(s=> hand.actions[s]).filter(a=>a.action === "fold").map(a=>a.player));
+  const taken = new Set();
+  const place = (seat)=>{
+    if (seat >= 1 && seat <= seatsCount && !taken.has(seat-1)) return seat-1;
+    for (let i=0;i<seatsCount;i++) if (!taken.has(i)) return i;
+    return -1;
+  };
+  for (const s of hand.seats) {
+    if (s.sittingOut) continue;
+    const idx = place(s.seat);
+    if (idx < 0) continue;
+    taken.add(idx);
+    const known = hand.holeCards[s.name] || [];
+    players[idx] = {
+      active: !folded.has(s.name),
+      isHero: s.name === hand.hero,
+      cards: Array.from({length:holeCards}, (_,k)=> known[k] || ""),
+      name: s.name,
+      stack: s.stack,
+    };
+  }
+  if (!players.some(p=>p.isHero)) players[0].isHero = true;
+  const board = Array.from({length:5}, (_,k)=> hand.board[k] || "");
+  return { players, board };
+}
@@ -0,0 +1,155 @@
+import { describe, expect, it } from "vitest";
+import { handToTable, parseHandHistories } from "./handHistory";
+import { boardSimSpec, gameInfo } from "./games";
+import { equityPercents, simulateEquity } from "./simulate";
+
+// Full ring, folded round to a heads-up pot the villain calls down and mucks.
+const STARS = `PokerStars Hand #243567890123:  Hold'em No Limit ($1/$2 USD) - 2024/03/09 21:14:07 ET
+Table 'Alcyone II' 9-max Seat #1 is the button
+Seat 1: Button Ben ($200 in chips)
+Seat 2: smally ($185.50 in chips)
+Seat 3: Hero ($200 in chips)
+Seat 4: utg1 ($150 in chips)
+Seat 5: mp_mary ($212 in chips)
+Seat 6: lojack ($90 in chips)
+Seat 7: Villain ($240 in chips)
+Seat 8: cutoff ($200 in chips) is sitting out
+Seat 9: nine ($60 in chips)
+smally: posts small blind $1
+Hero: posts big blind $2
+*** HOLE CARDS ***
+Dealt to Hero [Ah Ad]
+utg1: folds
+mp_mary: folds
+lojack: folds
+Villain: raises $4 to $6
+nine: folds
+Button Ben: folds
+smally: folds
+Hero: raises $14 to $20
+Villain: calls $14
+*** FLOP *** [Kc 7d 2h]
+Hero: bets $22
+Villain: calls $22
+*** TURN *** [Kc 7d 2h] [9s]
+Hero: checks
+Villain: checks
+*** RIVER *** [Kc 7d 2h 9s] [3c]
+Hero: bets $40
+Villain: calls $40
+*** SHOW DOWN ***
+Hero: shows [Ah Ad] (a pair of Aces)
+Villain: mucks hand
+Hero collected $161 from pot
+*** SUMMARY ***
+Total pot $165 | Rake $4
+Board [Kc 7d 2h 9s 3c]
+Seat 3: Hero (big blind) showed [Ah Ad] and won ($161) with a pair of Aces
+Seat 7: Villain mucked
+`;
+
+const GG = `Poker Hand #RC1234567890: Hold'em No Limit ($0.25/$0.5) - 2024/03/10 01:02:03
+Table 'RushAndCash123' 6-max Seat #2 is the button
+Seat 1: a1b2c3 ($50 in chips)
+Seat 2: Hero ($48.75 in chips)
+Seat 3: ff00aa ($51.20 in chips)
+a1b2c3: posts small blind $0.25
+ff00aa: posts big blind $0.5
+*** HOLE CARDS ***
+Dealt to a1b2c3
+Dealt to Hero [Qs Qd]
+Dealt to ff00aa
+Hero: raises $0.75 to $1.25
+a1b2c3: folds
+ff00aa: calls $0.75
+*** FLOP *** [8h 8c 4s]
+ff00aa: checks
+Hero: bets $1.10
+ff00aa: raises $2.90 to $4 and is all-in
+Hero: calls $2.90
+The dealer spilled the chips
+*** TURN *** [8h 8c 4s] [Jd]
+*** RIVER *** [8h 8c 4s Jd] [2c]
+*** SHOWDOWN ***
+ff00aa: shows [Ks 8d] (Three of a kind, Eights)
+ff00aa collected $10.60 from pot
+*** SUMMARY ***
+Total pot $10.75 | Rake $0.15
+Board [8h 8c 4s Jd 2c]
+Seat 3: ff00aa (big blind) showed [Ks 8d] and won ($10.60)
+`;
+
+describe("parseHandHistories", ()=>{
+  it("reads a PokerStars hand", ()=>{
+    const { hands, unparsed } = parseHandHistories(STARS);
+    expect(unparsed).toEqual([]);
+    expect(hands).toHaveLength(1);
+    const h = hands[0];
+    expect(h).toMatchObject({
+      id: "243567890123", site: "PokerStars", game: "holdem",
+      stakes: { sb: 1, bb: 2, currency: "USD" },
+      table: "Alcyone II", maxSeats: 9, buttonSeat: 1,
+      hero: "Hero", board: ["Kc", "7d", "2h", "9s", "3c"],
+      totalPot: 165, rake: 4, unparsed: [],
+    });
+    expect(h.seats).toHaveLength(9);
+    expect(h.seats[1]).toEqual({ seat: 2, name: "smally", stack: 185.5, sittingOut: false });
+    expect(h.seats[7].sittingOut).toBe(true);
+    expect(h.posts).toEqual([
+      { player: "smally", type: "sb", amount: 1, allIn: false },
+      { player: "Hero", type: "bb", amount: 2, allIn: false },
+    ]);
+    expect(h.holeCards).toEqual({ Hero: ["Ah", "Ad"] });
+    expect(h.actions.preflop).toHaveLength(9);
+    expect(h.actions.preflop[3]).toEqual({ player: "Villain", action: "raise", amount: 4, to: 6 });
+    expect(h.actions.turn.map(a=> a.action)).toEqual(["check", "check"]);
+    expect(h.results).toEqual([{ player: "Hero", amount: 161 }]);
+  });
+
+  it("reads a GGPoker hand and reports the lines it can't place", ()=>{
+    const { hands } = parseHandHistories(GG);
+    const h = hands[0];
+    expect(h).toMatchObject({
+      id: "RC1234567890", site: "GGPoker", game: "holdem",
+      stakes: { sb: 0.25, bb: 0.5 }, maxSeats: 6, hero: "Hero",
+      board: ["8h", "8c", "4s", "Jd", "2c"],
+    });
+    expect(h.holeCards).toEqual({ Hero: ["Qs", "Qd"], ff00aa: ["Ks", "8d"] });
+    expect(h.actions.flop[2]).toEqual({ player: "ff00aa", action: "raise", amount: 2.9, to: 4, allIn: true });
+    expect(h.unparsed).toEqual([{ line: "The dealer spilled the chips", lineNo: 20 }]);
+  });
+
+  it("splits several hands and keeps junk before the first", ()=>{
+    const text = `exported by a tracker\n\n${STARS}\n\n${GG}`;
+    const { hands, unparsed } = parseHandHistories(text);
+    expect(hands.map(h=> h.site)).toEqual(["PokerStars", "GGPoker"]);
+    expect(unparsed).toEqual([{ line: "exported by a tracker", lineNo: 1 }]);
+    // Line numbers count from the top of the paste, not the hand.
+    expect(hands[1].unparsed[0].lineNo).toBe(text.split("\n").indexOf("The dealer spilled the chips") + 1);
+  });
+});
+
+describe("handToTable", ()=>{
+  const hand = parseHandHistories(STARS).hands[0];
+
+  it("seats players by seat number with folded and empty seats inactive", ()=>{
+    const { players, board } = handToTable(hand);
+    expect(board).toEqual(["Kc", "7d", "2h", "9s", "3c"]);
+    expect(players[2]).toMatchObject({ active: true, isHero: true, cards: ["Ah", "Ad"], name: "Hero", stack: 200 });
+    expect(players[6]).toMatchObject({ active: true, isHero: false, cards: ["", ""], name: "Villain" });
+    expect(players.filter(p=> p.active)).toHaveLength(2);
+  });
+
+  it("gives the same equity as a heads-up run of the two players left", ()=>{
+    const { players, board } = handToTable(hand);
+    const spec = boardSimSpec(players, board, [], gameInfo(hand.game));
+    expect(spec.seats).toEqual([2, 6]);
+    const loaded = equityPercents(simulateEquity({ ...spec, trials: 4000 }));
+    const headsUp = equityPercents(simulateEquity({
+      players: [{ cards: ["Ah", "Ad"] }, { cards: ["", ""] }],
+      board: ["Kc", "7d", "2h", "9s", "3c"], dead: [], trials: 4000,
+    }));
+    expect(loaded).toEqual(headsUp);
+    expect(loaded[0]).toBeGreaterThan(85);
+  });
+});
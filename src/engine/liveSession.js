@@ -0,0 +1,73 @@
+/* ------------------------------ Live session ------------------------------ */
+// A running session at the table. Times are epoch ms so a reload (or the
+// phone sleeping) doesn't lose the clock.
+//   Live = { startedAt, stakes, game, location, hands, stack (chips in front, as typed),
+//            buyIns: [{ kind: "buy-in"|"rebuy"|"add-on", amount, at }],
+//            breaks: [{ from, to|null }], limits: { stopLoss, stopWin, maxHours } }
+
+export function startLive({ stakes = "", game = "", location = "", buyIn = 0, limits = {} }, now = Date.now()) {
+  return {
+    startedAt: now, stakes, game, location, hands: 0,
+    buyIns: [{ kind: "buy-in", amount: Number(buyIn) || 0, at: now }],
+    breaks: [],
+    limits: { stopLoss: Number(limits.stopLoss) || 0, stopWin: Number(limits.stopWin) || 0, maxHours: Number(limits.maxHours) || 0 },
+  };
+}
+
+export const onBreak = (live)=> live.breaks.some(b=> b.to == null);
+
+export function toggleBreak(live, now = Date.now()) {
+  return onBreak(live)
+    ? { ...live, breaks: live.breaks.map(b=> b.to == null ? { ...b, to: now } : b) }
+    : { ...live, breaks: [...live.breaks, { from: now, to: null }] };
+}
+
+export function addBuyIn(live, kind, amount, now = Date.now()) {
+  return { ...live, buyIns: [...live.buyIns, { kind, amount: Number(amount) || 0, at: now }] };
+}
+
+// Playing time only: breaks (including one still running) don't count.
+export function playedMs(live, now = Date.now()) {
+  const off = live.breaks.reduce((a,b)=> a + ((b.to ?? now) - b.from), 0);
+  return Math.max(0, now - live.startedAt - off);
+}
+
+export const invested = (live)=> live.buyIns.reduce((a,b)=> a + b.amount, 0);
+
+/**
+ * Limits hit given the current stack: net result against stop-loss and
+ * stop-win, and played time against the time limit. A limit of 0 is off.
+ */
+export function liveAlerts(live, stack, now = Date.now()) {
+  const { stopLoss, stopWin, maxHours } = live.limits;
+  const net = stack == null || stack === "" ? null : Number(stack) - invested(live);
+  const out = [];
+  if (stopLoss && net != null && net <= -stopLoss) out.push({ key: "loss", text: `Stop-loss hit: down $${Math.abs(net).toFixed(0)}` });
+  if (stopWin && net != null && net >= stopWin) out.push({ key: "win", text: `Stop-win hit: up $${net.toFixed(0)}` });
+  if (maxHours && playedMs(live, now) >= maxHours * 3600e3) out.push({ key: "time", text: `Time limit: ${maxHours} h played` });
+  return out;
+}
+
+export function formatClock(ms) {
+  const s = Math.floor(ms / 1000);
+  const pad = (n)=> String(n).padStart(2, "0");
+  return `${Math.floor(s / 3600)}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`;
+}
+
+/** The session log entry for a finished live session. */
+export function endLive(live, cashOut, now = Date.now()) {
+  const start = new Date(live.startedAt);
+  const pad = (n)=> String(n).padStart(2, "0");
+  const rebuys = live.buyIns.filter(b=> b.kind !== "buy-in");
+  const breakMin = Math.round((live.breaks.reduce((a,b)=> a + ((b.to ?? now) - b.from), 0)) / 60e3);
+  return {
+    date: `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`,
+    start: `${pad(start.getHours())}:${pad(start.getMinutes())}`,
+    hours: Math.round(playedMs(live, now) / 3600e3 * 100) / 100,
+    buyIn: invested(live),
+    cashOut: Number(cashOut) || 0,
+    hands: live.hands,
+    stakes: live.stakes, game: live.game, location: live.location, tags: [],
+    notes: [rebuys.length && `${rebuys.length} rebuy/add-on`, breakMin && `${breakMin} min break`].filter(Boolean).join(", "),
+  };
+}
@@ -0,0 +1,97 @@
+/* --------------------------- Live player stats --------------------------- */
+// One tap per thing a seat did this hand; "Next hand" folds the taps into
+// each seated player's running counts. Counts are kept raw so every
+// percentage can be shown with its sample size. Postflop bets and calls
+// (`count: true`) are tapped once per action, so AF counts actions.
+
+export const HAND_FLAGS = [
+  { key: "limp", label: "L", title: "Limped / called preflop" },
+  { key: "raise", label: "R", title: "Raised preflop" },
+  { key: "threeBet", label: "3B", title: "3-bet (or more) preflop" },
+  { key: "fold", label: "F", title: "Folded preflop" },
+  { key: "cbet", label: "CB", title: "C-bet the flop" },
+  { key: "foldCbet", label: "FC", title: "Folded to a c-bet" },
+  { key: "showdown", label: "SD", title: "Went to showdown" },
+  { key: "bet", label: "B", title: "Bet or raised after the flop, not counting a c-bet (tap per bet; right-click to take one back)", count: true },
+  { key: "call", label: "C", title: "Called after the flop (tap per call; right-click to take one back)", count: true },
+];
+
+export function emptyCounts() {
+  return { hands: 0, vpip: 0, pfr: 0, threeBet: 0, threeBetOpp: 0, postAggr: 0, postCalls: 0, sawFlop: 0, showdown: 0, cbet: 0, cbetOpp: 0, foldCbet: 0, foldCbetOpp: 0 };
+}
+
+/**
+ * Adds one hand's taps to a player's counts. Without a full action log a
+ * few opportunities are inferred: a flop is seen by anyone who put money
+ * in voluntarily, c-bet, faced a c-bet or went to showdown, and didn't
+ * fold preflop; a 3-bet chance comes with tapping 3B or with someone else
+ * at the table raising (`facedRaise`) when this seat didn't open; a c-bet
+ * chance belongs to the preflop raiser who saw the flop, and everyone else
+ * on the flop is treated as facing one when "folded to c-bet" is tapped
+ * or a c-bet was made at the table. A c-bet counts as a postflop bet.
+ */
+export function recordHand(counts = emptyCounts(), flags = {}, cbetMade = false, facedRaise = false) {
+  const c = { ...emptyCounts(), ...counts };
+  const bets = Number(flags.bet) || 0, calls = Number(flags.call) || 0;
+  const raised = flags.raise || flags.threeBet;
+  const vpip = flags.limp || raised;
+  const sawFlop = !flags.fold && (vpip || flags.cbet || flags.foldCbet || flags.showdown || bets > 0 || calls > 0);
+  c.hands += 1;
+  if (vpip) c.vpip += 1;
+  if (raised) c.pfr += 1;
+  if (flags.threeBet || (facedRaise && !flags.raise)) c.threeBetOpp += 1;
+  if (flags.threeBet) c.threeBet += 1;
+  c.postAggr += bets + (flags.cbet ? 1 : 0);
+  c.postCalls += calls;
+  if (sawFlop) c.sawFlop += 1;
+  if (flags.showdown) c.showdown += 1;
+  if (raised && sawFlop) { c.cbetOpp += 1; if (flags.cbet) c.cbet += 1; }
+  else if (sawFlop && (cbetMade || flags.foldCbet)) { c.foldCbetOpp += 1; if (flags.foldCbet) c.foldCbet += 1; }
+  return c;
+}
+
+const ratio = (k, n)=> ({ value: n ? k / n * 100 : null, n });
+
+// Percentages with the sample each is drawn from; `af` is the postflop
+// aggression factor, (bets + raises) / calls, with its action count.
+export function statLine(counts = emptyCounts()) {
+  const c = { ...emptyCounts(), ...counts };
+  return {
+    hands: c.hands,
+    vpip: ratio(c.vpip, c.hands),
+    pfr: ratio(c.pfr, c.hands),
+    threeBet: ratio(c.threeBet, c.threeBetOpp),
+    af: { value: c.postCalls ? c.postAggr / c.postCalls : c.postAggr ? Infinity : null, n: c.postAggr + c.postCalls },
+    wtsd: ratio(c.showdown, c.sawFlop),
+    cbet: ratio(c.cbet, c.cbetOpp),
+    foldCbet: ratio(c.foldCbet, c.foldCbetOpp),
+  };
+}
+
+export const MIN_TAG_HANDS = 20;
+// Postflop actions before AF counts toward a Maniac tag.
+const MIN_AF_ACTIONS = 10;
+
+/** Suggests a player type from counted stats, or null below MIN_TAG_HANDS. */
+export function suggestTag(counts) {
+  const s = statLine(counts);
+  if (s.hands < MIN_TAG_HANDS) return null;
+  const vpip = s.vpip.value, pfr = s.pfr.value, af = s.af.n >= MIN_AF_ACTIONS ? s.af.value : 0;
+  if (vpip >= 40 && (pfr >= 25 || af >= 3.5)) return "Maniac";
+  if (vpip >= 30 && pfr < vpip * 0.4) return "Calling Station";
+  if (vpip >= 28) return "LAG";
+  if (vpip <= 14) return "Nit";
+  return "TAG";
+}
+
+// The type to play against: a tag picked by hand wins over the suggestion.
+export function effectiveTag(player) {
+  if (!player) return "Unknown";
+  if (player.tag && player.tag !== "Unknown") return player.tag;
+  return suggestTag(player.counts) || "Unknown";
+}
+
+export function formatStat(stat, digits = 0) {
+  if (stat.value == null) return "—";
+  return isFinite(stat.value) ? stat.value.toFixed(digits) : "∞";
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { emptyCounts, recordHand, statLine, suggestTag } from "./playerStats";
+import { commitHand, newPlayer } from "./players";
+
+const play = (hands)=> hands.reduce((c, [flags, cbetMade, facedRaise])=> recordHand(c, flags, cbetMade, facedRaise), emptyCounts());
+
+describe("recordHand / statLine", ()=>{
+  it("counts VPIP and PFR over every dealt hand", ()=>{
+    const s = statLine(play([[{ limp: true }], [{ raise: true }], [{ fold: true }], [{}]]));
+    expect(s.hands).toBe(4);
+    expect(s.vpip).toEqual({ value: 50, n: 4 });
+    expect(s.pfr).toEqual({ value: 25, n: 4 });
+  });
+
+  it("takes 3-bet chances from facing a raise without opening", ()=>{
+    const s = statLine(play([[{ threeBet: true }], [{ fold: true }, false, true], [{ raise: true }, false, true], [{}]]));
+    expect(s.threeBet).toEqual({ value: 50, n: 2 });
+  });
+
+  it("computes AF from postflop bets, raises and c-bets over calls", ()=>{
+    const s = statLine(play([
+      [{ raise: true, cbet: true, bet: 2 }],
+      [{ limp: true, call: 2 }],
+      [{ limp: true, bet: 1, call: 1, showdown: true }],
+    ]));
+    expect(s.af).toEqual({ value: 4 / 3, n: 7 });
+  });
+
+  it("leaves preflop calls and raises out of AF", ()=>{
+    expect(statLine(play([[{ limp: true }], [{ raise: true }], [{ threeBet: true }]])).af.value).toBeNull();
+    expect(statLine(play([[{ raise: true, cbet: true }]])).af.value).toBe(Infinity);
+  });
+
+  it("counts a flop as seen from any postflop tap", ()=>{
+    const s = statLine(play([[{ call: 1 }, true], [{ foldCbet: true }, true], [{ fold: true }]]));
+    expect(s.wtsd.n).toBe(2);
+    expect(s.foldCbet).toEqual({ value: 50, n: 2 });
+  });
+});
+
+describe("suggestTag", ()=>{
+  const many = (n, flags)=> Array.from({ length: n }, ()=> [flags]);
+
+  it("waits for enough hands", ()=>{
+    expect(suggestTag(play(many(19, { raise: true })))).toBeNull();
+  });
+
+  it("tags loose passive players as stations and tight ones as nits", ()=>{
+    expect(suggestTag(play([...many(12, { limp: true, call: 1 }), ...many(18, { fold: true })]))).toBe("Calling Station");
+    expect(suggestTag(play([...many(2, { raise: true }), ...many(20, { fold: true })]))).toBe("Nit");
+  });
+
+  it("needs a real postflop sample before AF makes a maniac", ()=>{
+    const loose = [...many(9, { limp: true }), ...many(11, { fold: true })];
+    expect(suggestTag(play([...loose, [{ limp: true, bet: 3 }]]))).not.toBe("Maniac");
+    expect(suggestTag(play([...loose, ...many(3, { limp: true, bet: 4, call: 1 })]))).toBe("Maniac");
+  });
+});
+
+describe("commitHand", ()=>{
+  it("books taps per seat and counts someone else's raise as a 3-bet chance", ()=>{
+    const a = newPlayer("A"), b = newPlayer("B");
+    const db = { players: { [a.id]: a, [b.id]: b }, seats: [a.id, b.id, null] };
+    const next = commitHand(db, [{ raise: true, cbet: true }, { limp: true, call: 1 }]);
+    expect(next.players[a.id].counts).toMatchObject({ hands: 1, pfr: 1, postAggr: 1, threeBetOpp: 0 });
+    expect(next.players[b.id].counts).toMatchObject({ hands: 1, vpip: 1, postCalls: 1, threeBetOpp: 1, foldCbetOpp: 1 });
+  });
+});
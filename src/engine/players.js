@@ -0,0 +1,100 @@
+import { emptyCounts, recordHand } from "./playerStats";
+
+/* ---------------------------- Player database ---------------------------- */
+// Players are keyed by id, not seat: a seat map points at whoever is sitting
+// there this session, so moving seats or tables never moves the notes.
+//   db = { players: { [id]: Player }, seats: [id|null × 9] }
+//   Player = { id, name, description, tag, vpip, pfr, counts, notes: [{ at, text, location }],
+//              seen: [{ date, location }], createdAt }
+// vpip/pfr are typed-in guesses; `counts` holds the live tallies (see playerStats).
+
+export const TAGS = ["LAG", "TAG", "Nit", "Calling Station", "Maniac", "Unknown"];
+export const TABLE_SEATS = 9;
+
+const today = ()=> new Date().toISOString().slice(0, 10);
+const newId = ()=> `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export function emptyPlayerDb() {
+  return { players: {}, seats: Array(TABLE_SEATS).fill(null) };
+}
+
+export function newPlayer(name, patch = {}) {
+  return { id: newId(), name, description: "", tag: "Unknown", vpip: "", pfr: "", counts: emptyCounts(), notes: [], seen: [], createdAt: Date.now(), ...patch };
+}
+
+/**
+ * One-time conversion of the old seat-indexed `psa_opponents` array: any
+ * seat that was actually filled in becomes a player sitting in that seat.
+ */
+export function migrateOpponents(old) {
+  const db = emptyPlayerDb();
+  if (!Array.isArray(old)) return db;
+  old.forEach((o, i)=>{
+    if (!o) return;
+    const touched = o.tag !== "Unknown" || o.vpip || o.pfr || o.notes || !/^Seat \d+$/.test(o.name || "");
+    if (!touched) return;
+    const p = newPlayer(o.name || `Seat ${i+1}`, {
+      tag: o.tag || "Unknown", vpip: o.vpip || "", pfr: o.pfr || "",
+      notes: o.notes ? [{ at: Date.now(), text: o.notes, location: "" }] : [],
+    });
+    db.players[p.id] = p;
+    if (i < TABLE_SEATS) db.seats[i] = p.id;
+  });
+  return db;
+}
+
+// Case-insensitive match on name, description, tag and note text.
+export function searchPlayers(db, query) {
+  const q = query.trim().toLowerCase();
+  const all = Object.values(db.players);
+  const hits = q ? all.filter(p=> [p.name, p.description, p.tag, ...p.notes.map(n=> n.text)].some(s=> (s || "").toLowerCase().includes(q))) : all;
+  return hits.sort((a,b)=> lastSeen(b).localeCompare(lastSeen(a)) || a.name.localeCompare(b.name));
+}
+
+export function lastSeen(p) {
+  return p.seen.length ? p.seen[p.seen.length-1].date : "";
+}
+
+export function updatePlayer(db, id, patch) {
+  return { ...db, players: { ...db.players, [id]: { ...db.players[id], ...patch } } };
+}
+
+/** Puts a player in a seat (leaving any other seat) and logs the sighting. */
+export function assignSeat(db, seat, id, location = "") {
+  const seats = db.seats.map(s=> s === id ? null : s);
+  seats[seat] = id;
+  const p = db.players[id];
+  const date = today();
+  const seen = p.seen.some(s=> s.date === date && s.location === location) ? p.seen : [...p.seen, { date, location }];
+  return { players: { ...db.players, [id]: { ...p, seen } }, seats };
+}
+
+// Empties a seat; the player and their history stay in the database.
+export function unassignSeat(db, seat) {
+  return { ...db, seats: db.seats.map((s,i)=> i === seat ? null : s) };
+}
+
+export function addNote(db, id, text, location = "") {
+  const p = db.players[id];
+  return updatePlayer(db, id, { notes: [...p.notes, { at: Date.now(), text, location }] });
+}
+
+export function removePlayer(db, id) {
+  const { [id]: _, ...players } = db.players;
+  return { players, seats: db.seats.map(s=> s === id ? null : s) };
+}
+
+/**
+ * Ends a hand: every seated player gets a hand dealt plus whatever was
+ * tapped for their seat (`taps` is one flag object per seat).
+ */
+export function commitHand(db, taps) {
+  const cbetMade = taps.some(t=> t?.cbet);
+  const raisedBy = (i)=> taps.some((t,j)=> j !== i && (t?.raise || t?.threeBet));
+  const players = { ...db.players };
+  db.seats.forEach((id, i)=>{
+    if (!id || !players[id]) return;
+    players[id] = { ...players[id], counts: recordHand(players[id].counts, taps[i] || {}, cbetMade, raisedBy(i)) };
+  });
+  return { ...db, players };
+}
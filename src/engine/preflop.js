@@ -0,0 +1,126 @@
+import { makeDeck } from "./cards";
+import { parseRange, handClass } from "./ranges";
+
+/* ---------------------------- Preflop trainer ---------------------------- */
+export const POSITIONS = ["UTG","UTG+1","MP","LJ","HJ","CO","BTN","SB","BB"];
+// Everyone but the BB can open; everyone but UTG can face an open.
+export const OPEN_POSITIONS = POSITIONS.slice(0, -1);
+export const FACING_POSITIONS = POSITIONS.slice(1);
+
+// Baseline 9-max live charts. Every chart is editable in the trainer;
+// these are what "Reset" goes back to.
+export const DEFAULT_CHARTS = {
+  "UTG":   { open: "66+, A9s+, A5s, KTs+, QTs+, JTs, T9s, 98s, AJo+, KQo" },
+  "UTG+1": { open: "55+, A8s+, A5s-A4s, KTs+, QTs+, JTs, T9s, 98s, ATo+, KQo",
+             threeBet: "QQ+, AKs, AKo, A5s:0.5", call: "TT-JJ, AQs-AJs, KQs" },
+  "MP":    { open: "44+, A7s+, A5s-A3s, K9s+, Q9s+, J9s+, T9s, 98s, 87s, ATo+, KJo+",
+             threeBet: "QQ+, AKs, AKo, A5s:0.5", call: "99-JJ, AQs-AJs, KQs, QJs:0.5" },
+  "LJ":    { open: "33+, A2s+, K9s+, Q9s+, J9s+, T8s+, 97s+, 87s, 76s, ATo+, KJo+, QJo",
+             threeBet: "QQ+, AKs, AKo, A5s", call: "99-JJ, AQs-AJs, KQs, QJs:0.5" },
+  "HJ":    { open: "22+, A2s+, K8s+, Q9s+, J9s+, T8s+, 97s+, 86s+, 76s, 65s, A9o+, KTo+, QTo+, JTo",
+             threeBet: "QQ+, AKs, AKo, A5s-A4s", call: "88-JJ, AQs-ATs, KQs, KJs:0.5, QJs" },
+  "CO":    { open: "22+, A2s+, K6s+, Q8s+, J8s+, T8s+, 97s+, 86s+, 75s+, 65s, 54s, A8o+, A5o, KTo+, QTo+, JTo",
+             threeBet: "JJ+, AQs+, AKo, A5s-A4s, KJs:0.5", call: "88-TT, AJs-ATs, KQs, KJs:0.5, QJs, JTs, T9s:0.5" },
+  "BTN":   { open: "22+, A2s+, K2s+, Q5s+, J7s+, T7s+, 96s+, 85s+, 75s+, 64s+, 54s, A2o+, K8o+, Q9o+, J9o+, T9o, 98o",
+             threeBet: "JJ+, AQs+, AKo, A5s-A4s, K9s:0.5, 76s:0.5", call: "55-TT, AJs-ATs, KTs+, QTs+, JTs, T9s, 98s, 87s:0.5, AQo" },
+  "SB":    { open: "22+, A2s+, K4s+, Q7s+, J7s+, T7s+, 97s+, 86s+, 75s+, 65s, 54s, A4o+, K9o+, Q9o+, J9o+, T9o",
+             threeBet: "TT+, AJs+, KQs, AQo+, A5s-A4s", call: "" },
+  "BB":    { threeBet: "QQ+, AKs, AKo, A5s, K9s:0.5",
+             call: "22-JJ, A6s-AQs, A4s-A2s, K8s+, Q9s+, J9s+, T8s+, 97s+, 86s+, 75s+, 65s, 54s, ATo+, KJo+, QJo" },
+};
+
+export const ANSWERS = { open: ["open","fold"], facing: ["3bet","call","fold"] };
+const ACTION_LABELS = { open:"Open", fold:"Fold", "3bet":"3‑bet", call:"Call" };
+export function answerLabel(a) { return ACTION_LABELS[a]; }
+
+// Spaced repetition: a missed hand comes back after 3 questions, then
+// further apart each time it's answered right, and retires after the last.
+const REVIEW_GAPS = [3, 8, 20, 50];
+
+export function emptyTrainerStats() {
+  return { asked: 0, byPosition: {}, misses: {}, review: {} };
+}
+
+export function questionKey(q) {
+  return q.facing ? `${q.position} vs ${q.facing}: ${q.cls}` : `${q.position} open: ${q.cls}`;
+}
+
+function chartFor(charts, pos) { return { ...DEFAULT_CHARTS[pos], ...(charts?.[pos] || {}) }; }
+
+/**
+ * Action weights for a question from the charts. Mixed hands carry partial
+ * weights; whatever isn't raised or called is folded.
+ */
+export function chartWeights(charts, q) {
+  const chart = chartFor(charts, q.position);
+  const w = (text)=> parseRange(text).weights[q.cls] || 0;
+  if (!q.facing) { const open = w(chart.open); return { open, fold: 1 - open }; }
+  const threeBet = w(chart.threeBet);
+  const call = Math.min(w(chart.call), 1 - threeBet);
+  return { "3bet": threeBet, call, fold: Math.max(0, 1 - threeBet - call) };
+}
+
+// Any action the chart takes some of the time counts as correct.
+export function grade(charts, q, answer) {
+  const weights = chartWeights(charts, q);
+  const best = Object.entries(weights).reduce((a,b)=> b[1] > a[1] ? b : a)[0];
+  return { correct: weights[answer] > 0, best, weights };
+}
+
+function randomCards(rng) {
+  const deck = makeDeck();
+  const i = Math.floor(rng() * deck.length);
+  let j = Math.floor(rng() * (deck.length - 1));
+  if (j >= i) j++;
+  return [deck[i], deck[j]];
+}
+
+function cardsFor(cls, rng) {
+  const s = ["s","h","d","c"];
+  const a = s[Math.floor(rng()*4)];
+  if (cls[2] === "s") return [cls[0] + a, cls[1] + a];
+  const b = s.filter(x=> x !== a)[Math.floor(rng()*3)];
+  return [cls[0] + a, cls[1] + b];
+}
+
+/**
+ * Next question. Hands due for review come first; otherwise a random hand
+ * in a random spot. `position` pins the hero seat (from PositionSelector).
+ */
+export function nextQuestion(stats, { position = null, facingShare = 0.35, rng = Math.random } = {}) {
+  const due = Object.entries(stats.review)
+    .filter(([, r])=> r.due <= stats.asked && (!position || r.q.position === position))
+    .sort((a,b)=> a[1].due - b[1].due)[0];
+  if (due) {
+    const q = due[1].q;
+    return { ...q, cards: cardsFor(q.cls, rng), review: true };
+  }
+  const pos = position || POSITIONS[Math.floor(rng() * POSITIONS.length)];
+  const canOpen = OPEN_POSITIONS.includes(pos), canFace = FACING_POSITIONS.includes(pos);
+  const facing = canFace && (!canOpen || rng() < facingShare)
+    ? POSITIONS[Math.floor(rng() * POSITIONS.indexOf(pos))]
+    : null;
+  const cards = randomCards(rng);
+  return { position: pos, facing, cls: handClass(cards[0], cards[1]), cards };
+}
+
+// Folds one graded answer into the stats (score, misses, review queue).
+export function recordAnswer(stats, q, correct) {
+  const key = questionKey(q);
+  const pos = stats.byPosition[q.position] || { right: 0, total: 0 };
+  const review = { ...stats.review };
+  const prev = review[key];
+  if (!correct) {
+    review[key] = { q: { position: q.position, facing: q.facing, cls: q.cls }, box: 0, due: stats.asked + 1 + REVIEW_GAPS[0] };
+  } else if (prev) {
+    const box = prev.box + 1;
+    if (box >= REVIEW_GAPS.length) delete review[key];
+    else review[key] = { ...prev, box, due: stats.asked + 1 + REVIEW_GAPS[box] };
+  }
+  return {
+    asked: stats.asked + 1,
+    byPosition: { ...stats.byPosition, [q.position]: { right: pos.right + (correct ? 1 : 0), total: pos.total + 1 } },
+    misses: correct ? stats.misses : { ...stats.misses, [key]: (stats.misses[key] || 0) + 1 },
+    review,
+  };
+}
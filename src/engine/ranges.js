@@ -0,0 +1,168 @@
+import { SUITS } from "./cards";
+
+/* ------------------------------ Hand ranges ------------------------------ */
+// Grid order runs high → low: row/col 0 is the Ace, 12 is the deuce.
+// Upper-right of the diagonal is suited, lower-left is offsuit.
+export const GRID_RANKS = ["A","K","Q","J","T","9","8","7","6","5","4","3","2"];
+const GRID_IDX = Object.fromEntries(GRID_RANKS.map((r,i)=>[r,i]));
+
+export function gridLabel(row, col) {
+  const a = GRID_RANKS[row], b = GRID_RANKS[col];
+  if (row === col) return a + b;
+  return row < col ? a + b + "s" : b + a + "o";
+}
+
+// Hand class ("AKs", "QQ", "T9o") → every two-card combo it stands for.
+export function classCombos(cls) {
+  const hi = cls[0], lo = cls[1], kind = cls[2];
+  const out = [];
+  if (hi === lo) {
+    for (let a=0;a<4;a++) for (let b=a+1;b<4;b++) out.push([hi + SUITS[a], lo + SUITS[b]]);
+  } else if (kind === "s") {
+    for (const s of SUITS) out.push([hi + s, lo + s]);
+  } else {
+    for (const s1 of SUITS) for (const s2 of SUITS) if (s1 !== s2) out.push([hi + s1, lo + s2]);
+  }
+  return out;
+}
+
+// Two cards ("Ah", "Kd") → their grid class ("AKo").
+export function handClass(c1, c2) {
+  let a = GRID_IDX[c1[0]], b = GRID_IDX[c2[0]];
+  if (a > b) [a, b] = [b, a];
+  if (a === b) return GRID_RANKS[a] + GRID_RANKS[b];
+  return GRID_RANKS[a] + GRID_RANKS[b] + (c1[1] === c2[1] ? "s" : "o");
+}
+
+function pairClass(i) { return GRID_RANKS[i] + GRID_RANKS[i]; }
+function nonPairClasses(h, k, kind) {
+  const base = GRID_RANKS[h] + GRID_RANKS[k];
+  return kind ? [base + kind] : [base + "s", base + "o"];
+}
+
+const TOKEN = /^([2-9TJQKA])([2-9TJQKA])([so])?(\+)?(?:-([2-9TJQKA])([2-9TJQKA])([so])?)?(?::(\d*\.?\d+))?$/;
+
+// Expands one notation token ("QQ+", "AJo+", "76s-54s", "KTs-K7s", "AK:0.5")
+// into hand classes. Returns null when the token is not valid notation.
+function expandToken(token) {
+  const m = TOKEN.exec(token);
+  if (!m) return null;
+  const [, r1, r2, kind1, plus, r3, r4, kind2, wStr] = m;
+  let w = wStr == null ? 1 : Number(wStr);
+  if (w > 1) w = w / 100; // allow "AKs:50" as a percentage
+  if (!(w >= 0 && w <= 1)) return null;
+
+  let h = Math.min(GRID_IDX[r1], GRID_IDX[r2]);
+  let k = Math.max(GRID_IDX[r1], GRID_IDX[r2]);
+  const classes = [];
+
+  if (h === k) {
+    if (kind1) return null;
+    if (plus) { for (let i=h;i>=0;i--) classes.push(pairClass(i)); }
+    else if (r3) {
+      if (r3 !== r4 || kind2) return null;
+      const lo = Math.max(h, GRID_IDX[r3]), hi = Math.min(h, GRID_IDX[r3]);
+      for (let i=hi;i<=lo;i++) classes.push(pairClass(i));
+    } else classes.push(pairClass(h));
+    return { classes, w };
+  }
+
+  if (plus) {
+    if (r3) return null;
+    for (let i=k;i>h;i--) classes.push(...nonPairClasses(h, i, kind1));
+  } else if (r3) {
+    if ((kind1 || "") !== (kind2 || "")) return null;
+    let h2 = Math.min(GRID_IDX[r3], GRID_IDX[r4]);
+    let k2 = Math.max(GRID_IDX[r3], GRID_IDX[r4]);
+    if (h2 === k2) return null;
+    if (h === h2) {
+      // Same high card, kicker runs: "KTs-K7s"
+      if (k > k2) [k, k2] = [k2, k];
+      for (let i=k;i<=k2;i++) classes.push(...nonPairClasses(h, i, kind1));
+    } else if (k - h === k2 - h2) {
+      // Same gap, both cards step: "76s-54s"
+      if (h > h2) { [h, h2] = [h2, h]; }
+      for (let i=h;i<=h2;i++) classes.push(...nonPairClasses(i, i + (k - h), kind1));
+    } else return null;
+  } else classes.push(...nonPairClasses(h, k, kind1));
+  return { classes, w };
+}
+
+/**
+ * Parses standard range notation ("QQ+, AKs, AJo+, 76s-54s") into a map of
+ * hand class → weight (0..1). A ":w" suffix sets a weight, e.g. "AJo:0.5".
+ * Tokens that can't be read are returned in `errors` instead of throwing.
+ */
+export function parseRange(text) {
+  const weights = {};
+  const errors = [];
+  for (const raw of (text || "").split(/[,\s]+/)) {
+    if (!raw) continue;
+    const token = raw.toUpperCase().replace(/([2-9TJQKA]{2})([SO])/g, (_, a, b)=> a + b.toLowerCase());
+    const res = expandToken(token);
+    if (!res) { errors.push(raw); continue; }
+    for (const c of res.classes) {
+      if (res.w > 0) weights[c] = res.w; else delete weights[c];
+    }
+  }
+  return { weights, errors };
+}
+
+function withWeight(token, w) {
+  return w >= 1 ? token : `${token}:${Math.round(w*100)/100}`;
+}
+
+// Collapses runs of equal weight back into compact notation.
+export function formatRange(weights) {
+  const parts = [];
+  const w = (cls)=> weights[cls] || 0;
+
+  for (let i=0;i<13;) {
+    const wi = w(pairClass(i));
+    if (!wi) { i++; continue; }
+    let j = i;
+    while (j+1 < 13 && w(pairClass(j+1)) === wi) j++;
+    const lo = pairClass(j);
+    const token = i === j ? lo : i === 0 ? lo + "+" : `${pairClass(i)}-${lo}`;
+    parts.push(withWeight(token, wi));
+    i = j + 1;
+  }
+
+  for (let h=0;h<12;h++) for (const kind of ["s","o"]) {
+    const cls = (k)=> GRID_RANKS[h] + GRID_RANKS[k] + kind;
+    for (let k=h+1;k<13;) {
+      const wk = w(cls(k));
+      if (!wk) { k++; continue; }
+      let j = k;
+      while (j+1 < 13 && w(cls(j+1)) === wk) j++;
+      const token = k === j ? cls(k) : k === h+1 ? cls(j) + "+" : `${cls(k)}-${cls(j)}`;
+      parts.push(withWeight(token, wk));
+      k = j + 1;
+    }
+  }
+  return parts.join(", ");
+}
+
+// Weighted combos of a range that don't touch any card in `blocked`.
+export function rangeCombos(weights, blocked = new Set()) {
+  const out = [];
+  for (const [cls, w] of Object.entries(weights)) {
+    if (!(w > 0)) continue;
+    for (const cards of classCombos(cls)) {
+      if (!blocked.has(cards[0]) && !blocked.has(cards[1])) out.push({ cards, w });
+    }
+  }
+  return out;
+}
+
+// Weighted combo count and share of all 1326 starting hands.
+export function rangeSize(weights) {
+  let combos = 0;
+  for (const [cls, w] of Object.entries(weights)) combos += classCombos(cls).length * (w || 0);
+  return { combos, pct: combos / 1326 * 100 };
+}
+
+// A seat plays a range when it has range text and no exact hole cards.
+export function isRangeSeat(p) {
+  return p.range != null && !p.cards.some(Boolean) && Object.keys(parseRange(p.range).weights).length > 0;
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { formatRange, gridLabel, handClass, isRangeSeat, parseRange, rangeCombos, rangeSize } from "./ranges";
+
+const classes = (text)=> Object.keys(parseRange(text).weights).sort();
+
+describe("parseRange", ()=>{
+  it("expands pairs and plus notation", ()=>{
+    expect(classes("QQ+")).toEqual(["AA", "KK", "QQ"]);
+    expect(classes("ATs+")).toEqual(["AJs", "AKs", "AQs", "ATs"]);
+    expect(classes("KQ")).toEqual(["KQo", "KQs"]);
+  });
+
+  it("expands dashed runs of kickers, connectors and pairs", ()=>{
+    expect(classes("KTs-K7s")).toEqual(["K7s", "K8s", "K9s", "KTs"]);
+    expect(classes("76s-54s")).toEqual(["54s", "65s", "76s"]);
+    expect(classes("99-66")).toEqual(["66", "77", "88", "99"]);
+  });
+
+  it("reads weights as fractions or percentages", ()=>{
+    expect(parseRange("AK:0.5").weights).toEqual({ AKs: 0.5, AKo: 0.5 });
+    expect(parseRange("AKs:50").weights).toEqual({ AKs: 0.5 });
+    expect(parseRange("QQ+, KK:0").weights).toEqual({ AA: 1, QQ: 1 });
+  });
+
+  it("accepts lower case and any separator", ()=>{
+    expect(classes("aks qq\tjto")).toEqual(["AKs", "JTo", "QQ"]);
+  });
+
+  it("collects tokens it can't read instead of throwing", ()=>{
+    const { weights, errors } = parseRange("AA, XYZ, AKx, 76s-54o, QQs");
+    expect(weights).toEqual({ AA: 1 });
+    expect(errors).toEqual(["XYZ", "AKx", "76s-54o", "QQs"]);
+  });
+});
+
+describe("formatRange", ()=>{
+  it("collapses runs back into compact notation", ()=>{
+    expect(formatRange(parseRange("QQ+, AKs, ATs+, KTs-K7s").weights)).toBe("QQ+, ATs+, KTs-K7s");
+    expect(formatRange(parseRange("88-55, AKo:0.5").weights)).toBe("88-55, AKo:0.5");
+  });
+
+  it("round-trips through parseRange", ()=>{
+    const text = "TT+, 55-22, AJs+, KQs, 76s-54s, AQo+, KJo:0.25";
+    const once = parseRange(text).weights;
+    expect(parseRange(formatRange(once)).weights).toEqual(once);
+  });
+});
+
+describe("combos", ()=>{
+  it("counts 6 per pair, 4 per suited and 12 per offsuit class", ()=>{
+    expect(rangeSize(parseRange("AA").weights).combos).toBe(6);
+    expect(rangeSize(parseRange("AKs").weights).combos).toBe(4);
+    expect(rangeSize(parseRange("AKo").weights).combos).toBe(12);
+    expect(rangeSize(parseRange("AK:0.5").weights).combos).toBe(8);
+  });
+
+  it("drops combos that use a blocked card", ()=>{
+    const combos = rangeCombos(parseRange("AA, AKs").weights, new Set(["As"]));
+    expect(combos).toHaveLength(3 + 3);
+    expect(combos.every(c=> !c.cards.includes("As"))).toBe(true);
+  });
+
+  it("maps cards and grid cells to the same class", ()=>{
+    expect(handClass("Kd", "Ad")).toBe("AKs");
+    expect(handClass("2c", "Ah")).toBe("A2o");
+    expect(gridLabel(0, 1)).toBe("AKs");
+    expect(gridLabel(1, 0)).toBe("AKo");
+    expect(gridLabel(12, 12)).toBe("22");
+  });
+
+  it("treats a seat as a range seat only without exact cards", ()=>{
+    expect(isRangeSeat({ cards: ["", ""], range: "QQ+" })).toBe(true);
+    expect(isRangeSeat({ cards: ["As", ""], range: "QQ+" })).toBe(false);
+    expect(isRangeSeat({ cards: ["", ""], range: "nonsense" })).toBe(false);
+  });
+});
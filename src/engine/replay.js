@@ -0,0 +1,104 @@
+import { STREETS } from "./handHistory";
+import { gameInfo } from "./games";
+
+/* ----------------------------- Hand replayer ----------------------------- */
+// Walks a parsed hand action by action, keeping pot, stacks and live players
+// up to date. Every step is a snapshot the replayer can jump to.
+
+const BOARD_SIZE = { preflop:0, flop:3, turn:4, river:5 };
+const round2 = (x)=> Math.round(x * 100) / 100;
+
+function describe(a) {
+  const amt = (x)=> x.toLocaleString();
+  if (a.action === "fold" || a.action === "check") return `${a.player} ${a.action}s`;
+  if (a.action === "uncalled") return `${amt(a.amount)} returned to ${a.player}`;
+  if (a.action === "raise") return `${a.player} raises to ${amt(a.to)}${a.allIn ? " (all‑in)" : ""}`;
+  return `${a.player} ${a.action}s ${amt(a.amount)}${a.allIn ? " (all‑in)" : ""}`;
+}
+
+/**
+ * Builds { players, steps } from a parsed hand. `players` are the seated
+ * players with whatever hole cards the history revealed; each step is
+ * { street, label, actor, pot, stacks, live, toAct, board }.
+ */
+export function buildReplay(hand) {
+  const players = hand.seats.filter(s=>!s.sittingOut).map(s=>({
+    name: s.name, seat: s.seat, isHero: s.name === hand.hero, cards: hand.holeCards[s.name] || [],
+  }));
+  const stacks = Object.fromEntries(hand.seats.map(s=>[s.name, s.stack]));
+  const live = new Set(players.map(p=>p.name));
+  let pot = 0;
+  let committed = {};
+  const steps = [];
+  const snap = (street, label, actor, toAct)=> steps.push({
+    street, label, actor, toAct, pot: round2(pot),
+    stacks: { ...stacks }, live: [...live], board: hand.board.slice(0, BOARD_SIZE[street]),
+  });
+  const put = (name, x)=>{
+    stacks[name] = round2((stacks[name] ?? 0) - x);
+    committed[name] = (committed[name] || 0) + x;
+    pot += x;
+  };
+
+  for (const p of hand.posts) {
+    if (p.type === "ante") { stacks[p.player] = round2((stacks[p.player] ?? 0) - p.amount); pot += p.amount; }
+    else put(p.player, p.amount);
+  }
+  const firstActor = (street)=> hand.actions[street].find(a=>a.action !== "uncalled")?.player ?? null;
+  snap("preflop", "Blinds posted", null, firstActor("preflop"));
+
+  STREETS.forEach((street)=>{
+    const acts = hand.actions[street];
+    if (street !== "preflop") {
+      if (hand.board.length < BOARD_SIZE[street]) return;
+      committed = {};
+      const dealt = street === "flop" ? hand.board.slice(0,3) : [hand.board[BOARD_SIZE[street]-1]];
+      snap(street, `${street[0].toUpperCase() + street.slice(1)}: ${dealt.join(" ")}`, null, firstActor(street));
+    }
+    acts.forEach((a, k)=>{
+      if (a.action === "fold") live.delete(a.player);
+      else if (a.action === "call" || a.action === "bet") put(a.player, a.amount);
+      else if (a.action === "raise") put(a.player, a.to - (committed[a.player] || 0));
+      else if (a.action === "uncalled") { stacks[a.player] = round2(stacks[a.player] + a.amount); pot -= a.amount; }
+      const next = acts.slice(k+1).find(x=>x.action !== "uncalled" && live.has(x.player));
+      snap(street, describe(a), a.player, next?.player ?? null);
+    });
+  });
+
+  if (hand.results.length) {
+    const last = steps[steps.length-1].street;
+    for (const r of hand.results) stacks[r.player] = round2((stacks[r.player] ?? 0) + r.amount);
+    pot = 0;
+    snap(last, hand.results.map(r=>`${r.player} wins ${r.amount.toLocaleString()}`).join(", "), null, null);
+  }
+  return { players, steps };
+}
+
+// Equity only changes when the board or the set of live players does, so
+// steps sharing both share one simulation.
+export function spotKey(step) {
+  return `${step.board.join("")}|${step.live.join(",")}`;
+}
+
+/**
+ * simulateEquity options for a step. Live players' unknown cards are dealt
+ * at random; returns null when a single player is left (no showdown).
+ */
+export function spotOptions(hand, replay, step, trials = 3000) {
+  if (step.live.length < 2) return null;
+  const g = gameInfo(hand.game);
+  const seats = replay.players.filter(p=>step.live.includes(p.name));
+  return {
+    players: seats.map(p=>({
+      active: true, isHero: p.isHero,
+      cards: Array.from({length:g.holeCards}, (_,k)=> p.cards[k] || ""),
+    })),
+    board: step.board,
+    dead: [],
+    trials,
+    rngSeed: 4242,
+    holeCards: g.holeCards,
+    omaha: g.omaha,
+    shortDeck: g.shortDeck,
+  };
+}
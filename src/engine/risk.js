@@ -0,0 +1,102 @@
+import { hourlyStats, parseStakes } from "./bankroll";
+
+/* ------------------------------ Bankroll risk ----------------------------- */
+// Win rate and standard deviation are estimated per hour from the session
+// log. To compare stakes, results are converted to big blinds per hour and
+// scaled back up by each level's big blind, which assumes the same edge in
+// BB — optimistic when moving up.
+
+/** 95% (or `z`) confidence interval on the true hourly win rate. */
+export function winRateInterval({ winRate, sdHour, hours }, z = 1.96) {
+  if (sdHour == null || !hours) return null;
+  const se = sdHour / Math.sqrt(hours);
+  return { low: winRate - z * se, high: winRate + z * se, se };
+}
+
+// Win rate / SD in big blinds per hour, from sessions with readable stakes.
+export function bbStats(rows) {
+  const inBB = rows.flatMap(r=>{
+    const bb = parseStakes(r.stakes)?.bb;
+    return bb ? [{ ...r, profit: r.profit / bb }] : [];
+  });
+  return hourlyStats(inBB);
+}
+
+/**
+ * Risk of ruin for a bankroll with a normal per-hour result: e^(−2·w·B/σ²).
+ * Break-even or losing players go broke eventually, so that's 1.
+ */
+export function riskOfRuin(bankroll, winRate, sd) {
+  if (bankroll <= 0) return 1;
+  if (!(winRate > 0) || !sd) return winRate > 0 ? 0 : 1;
+  return Math.min(1, Math.exp(-2 * winRate * bankroll / (sd * sd)));
+}
+
+// Bankroll giving `ror` risk of ruin; Infinity without a positive win rate.
+export function bankrollForRisk(ror, winRate, sd) {
+  if (!(winRate > 0)) return Infinity;
+  return -(sd * sd) * Math.log(ror) / (2 * winRate);
+}
+
+/**
+ * Per-stakes risk table scaled from the BB/hr estimate. Each row has the
+ * $/hr and SD/hr implied at that level, the RoR for `bankroll`, the roll
+ * needed for `targetRoR` (move up once you have it) and for `floorRoR`
+ * (move down when you drop below it).
+ */
+export function stakesRisk(levels, bb, bankroll, targetRoR, floorRoR) {
+  return levels.flatMap(stakes=>{
+    const blind = parseStakes(stakes)?.bb;
+    if (!blind || bb.sdHour == null) return [];
+    const winRate = bb.winRate * blind, sd = bb.sdHour * blind;
+    return [{
+      stakes, winRate, sd,
+      ror: riskOfRuin(bankroll, winRate, sd),
+      moveUp: bankrollForRisk(targetRoR, winRate, sd),
+      moveDown: bankrollForRisk(floorRoR, winRate, sd),
+    }];
+  });
+}
+
+// Standard normal draws from a uniform source (Box–Muller).
+function normal(rand) {
+  let u = 0;
+  while (u === 0) u = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+export const FAN_BANDS = [5, 25, 50, 75, 95];
+export const MAX_FUTURE_HOURS = 2000;
+
+/**
+ * Monte Carlo "possible futures": `paths` runs of `hours` hours, each hour
+ * drawn from N(winRate, sd). Returns one row per hour with the FAN_BANDS
+ * percentiles of bankroll (p5…p95), plus the chance of ever dropping
+ * `drop` below the start and the median worst drawdown. `hours` is capped
+ * at MAX_FUTURE_HOURS; the result's `hours` is what was simulated.
+ */
+export function simulateFutures({ start = 0, winRate, sd, hours = 100, paths = 500, drop = 0, rngSeed }) {
+  let s = (rngSeed ?? 1337) >>> 0;
+  const rand = ()=> (s = (s * 1664525 + 1013904223) >>> 0, s / 2**32);
+  const steps = Math.min(MAX_FUTURE_HOURS, Math.max(1, Math.round(hours)));
+  const at = Array.from({ length: steps + 1 }, ()=> new Float64Array(paths));
+  const drawdowns = new Float64Array(paths);
+  let dipped = 0;
+  for (let p=0; p<paths; p++) {
+    let x = start, peak = start, worst = 0, low = start;
+    at[0][p] = x;
+    for (let h=1; h<=steps; h++) {
+      x += winRate + sd * normal(rand);
+      at[h][p] = x;
+      peak = Math.max(peak, x); worst = Math.max(worst, peak - x); low = Math.min(low, x);
+    }
+    drawdowns[p] = worst;
+    if (drop > 0 && start - low >= drop) dipped++;
+  }
+  const pct = (arr, q)=> arr[Math.min(arr.length - 1, Math.floor(q / 100 * arr.length))];
+  const series = at.map((vals, h)=>{
+    const sorted = vals.slice().sort();
+    return { hour: h, ...Object.fromEntries(FAN_BANDS.map(q=> [`p${q}`, pct(sorted, q)])) };
+  });
+  return { series, hours: steps, dipChance: dipped / paths, medianDrawdown: pct(drawdowns.slice().sort(), 50) };
+}
@@ -0,0 +1,132 @@
+import { parseCard } from "./cards";
+import { gameInfo, deckRanks, GAMES } from "./games";
+import { STUD_SEATS } from "./stud";
+
+/* ------------------------------- Scenarios -------------------------------- */
+// A scenario is a named snapshot of the table:
+//   { id, name, setup, createdAt, updatedAt }
+// where setup = { stakes, players, board, dead, trials, heroPos, game,
+// studPlayers, studStreet, actions } — the same fields the old single
+// "saved setup" slot held.
+
+const newId = ()=> `sc${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export function newScenario(name, setup, now = Date.now()) {
+  return { id: newId(), name: name.trim() || "Untitled", setup, createdAt: now, updatedAt: now };
+}
+
+export const renameScenario = (list, id, name, now = Date.now())=>
+  list.map(s=> s.id === id ? { ...s, name: name.trim() || s.name, updatedAt: now } : s);
+
+export const updateScenario = (list, id, setup, now = Date.now())=>
+  list.map(s=> s.id === id ? { ...s, setup, updatedAt: now } : s);
+
+export const removeScenario = (list, id)=> list.filter(s=> s.id !== id);
+
+// "Name (copy)", "Name (copy 2)", … — inserted right after the original.
+export function duplicateScenario(list, id, now = Date.now()) {
+  const i = list.findIndex(s=> s.id === id);
+  if (i < 0) return list;
+  const names = new Set(list.map(s=> s.name));
+  const base = `${list[i].name} (copy`;
+  let name = `${base})`;
+  for (let n=2; names.has(name); n++) name = `${base} ${n})`;
+  const copy = newScenario(name, structuredClone(list[i].setup), now);
+  return [...list.slice(0, i + 1), copy, ...list.slice(i + 1)];
+}
+
+/** One-line description for the library list, e.g. "Hold'em $2/$5 • AsKd vs 2 • Ks7h2c". */
+export function scenarioSummary(setup) {
+  const g = gameInfo(setup.game);
+  const seats = (g.stud ? setup.studPlayers : setup.players) || [];
+  const hero = seats.find(p=> p.isHero);
+  const villains = seats.filter(p=> p.active && !p.isHero).length;
+  const board = g.stud ? `${setup.studStreet || 3}th st` : (setup.board || []).filter(Boolean).join("");
+  return [`${g.label} ${setup.stakes || ""}`.trim(), `${hero?.cards.filter(Boolean).join("") || "??"} vs ${villains}`, board]
+    .filter(Boolean).join(" • ");
+}
+
+/* ------------------------------ Share links ------------------------------- */
+// A spot packed into URL search params:
+//   v=1  g=game  k=stakes  pos=hero position  st=stud street
+//   s=seats joined by "_"; each seat is [*][-]cards[.range] — "*" hero,
+//     "-" not in the hand, cards as two-character codes with "xx" for an
+//     empty slot, then an optional range after the first "."
+//   b=board  d=dead cards (cards packed the same way)
+// e.g. ?v=1&g=holdem&k=%242%2F%245&s=*AsKd_.QQ%2B%2CAKs_-_-…&b=Ks7h2c
+
+const LINK_VERSION = 1;
+const BLANK = "xx";
+
+const packCards = (cards = [])=> cards.map(c=> c || BLANK).join("").replace(/(xx)+$/, "");
+
+function packSeat(p) {
+  const range = !p.cards.some(Boolean) && p.range ? `.${p.range}` : "";
+  return `${p.isHero ? "*" : ""}${p.active ? "" : "-"}${packCards(p.cards)}${range}`;
+}
+
+export function encodeScenario(setup) {
+  const game = Object.hasOwn(GAMES, setup.game) ? setup.game : "holdem";
+  const g = gameInfo(game);
+  const q = new URLSearchParams({ v: LINK_VERSION, g: game });
+  if (setup.stakes) q.set("k", setup.stakes);
+  if (setup.heroPos) q.set("pos", setup.heroPos);
+  q.set("s", ((g.stud ? setup.studPlayers : setup.players) || []).map(packSeat).join("_"));
+  if (g.stud) q.set("st", setup.studStreet || 3);
+  else if (setup.board?.some(Boolean)) q.set("b", packCards(setup.board));
+  if (setup.dead?.length) q.set("d", packCards(setup.dead));
+  return q.toString();
+}
+
+/** `href` (this page by default) with the spot as its query string. */
+export function shareUrl(setup, href = location.href) {
+  const url = new URL(href);
+  url.search = encodeScenario(setup);
+  url.hash = "";
+  return url.toString();
+}
+
+/**
+ * Reads a spot back from URL search params. Returns a partial setup (only
+ * what links carry), or null when there's no spot in the URL. Bad or
+ * repeated cards come back as empty slots rather than failing the link.
+ */
+export function decodeScenario(params) {
+  const seatsRaw = params.get("s");
+  if (seatsRaw == null || Number(params.get("v") || LINK_VERSION) > LINK_VERSION) return null;
+  const game = Object.hasOwn(GAMES, params.get("g") ?? "") ? params.get("g") : "holdem";
+  const g = gameInfo(game);
+  const ranks = deckRanks(g);
+  const used = new Set();
+  const unpack = (str = "", n = Math.ceil(str.length / 2))=> Array.from({ length: n }, (_, i)=>{
+    const c = parseCard(str.slice(i * 2, i * 2 + 2), ranks);
+    if (!c || used.has(c)) return "";
+    used.add(c);
+    return c;
+  });
+
+  const packed = seatsRaw.split("_");
+  const seats = Array.from({ length: g.stud ? STUD_SEATS : 9 }, (_, i)=>{
+    const m = (packed[i] ?? "-").match(/^(\*?)(-?)([^.]*)(?:\.(.*))?$/s) || [];
+    const seat = { active: !m[2], isHero: !!m[1], cards: unpack(m[3], g.stud ? 7 : g.holeCards) };
+    if (m[4]) seat.range = m[4];
+    return seat;
+  });
+  // Exactly one hero: the first "*" seat, else seat 1.
+  const hero = Math.max(0, seats.findIndex(p=> p.isHero));
+  seats.forEach((p, i)=>{ p.isHero = i === hero; });
+  seats[hero].active = true;
+
+  const setup = { game, actions: [] };
+  if (params.get("k")) setup.stakes = params.get("k");
+  if (params.get("pos")) setup.heroPos = params.get("pos");
+  if (g.stud) {
+    setup.studPlayers = seats;
+    setup.studStreet = Math.min(7, Math.max(3, Number(params.get("st")) || 3));
+  } else {
+    setup.players = seats;
+    setup.board = unpack(params.get("b") || "", 5);
+  }
+  setup.dead = unpack(params.get("d") || "").filter(Boolean);
+  return setup;
+}
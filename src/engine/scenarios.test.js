@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import {
+  decodeScenario, duplicateScenario, encodeScenario, newScenario, removeScenario,
+  renameScenario, scenarioSummary, shareUrl, updateScenario,
+} from "./scenarios";
+
+const seats = (n, holeCards = 2)=> Array.from({ length: n }, (_, i)=> ({ active: i < 3, isHero: i === 0, cards: Array(holeCards).fill("") }));
+const decode = (query)=> decodeScenario(new URLSearchParams(query));
+
+describe("share links", ()=>{
+  it("round-trips a Hold'em spot with a range seat", ()=>{
+    const players = seats(9);
+    players[0].cards = ["As", "Kd"];
+    players[1].range = "QQ+, AKs";
+    players[2].cards = ["7h", ""];
+    const setup = { game: "holdem", stakes: "$2/$5", heroPos: "BTN", players, board: ["Ks", "7c", "2d", "", ""], dead: ["Qh"] };
+    const back = decode(encodeScenario(setup));
+    expect(back).toEqual({ ...setup, actions: [] });
+  });
+
+  it("round-trips a Stud spot", ()=>{
+    const studPlayers = seats(8, 7);
+    studPlayers[0].cards = ["As", "Ad", "Kc", "", "", "", ""];
+    studPlayers[1].cards = ["", "", "9h", "", "", "", ""];
+    const back = decode(encodeScenario({ game: "stud", studPlayers, studStreet: 4, dead: ["2c"] }));
+    expect(back).toEqual({ game: "stud", studPlayers, studStreet: 4, dead: ["2c"], actions: [] });
+  });
+
+  it("builds a link on the given page and drops its old query and hash", ()=>{
+    const url = new URL(shareUrl({ game: "holdem", players: seats(9) }, "https://example.com/app/?s=old#x"));
+    expect(url.pathname).toBe("/app/");
+    expect(url.hash).toBe("");
+    expect(url.searchParams.get("s")).toBe("*___-_-_-_-_-_-");
+  });
+
+  it("is null without seats or from a newer link version", ()=>{
+    expect(decode("")).toBeNull();
+    expect(decode("v=1&g=holdem")).toBeNull();
+    expect(decode("v=99&s=*AsKd")).toBeNull();
+  });
+
+  it("keeps exactly one hero, and that one active", ()=>{
+    const both = decode("s=*AsKd_*QhQd");
+    expect(both.players.map(p=> p.isHero)).toEqual([true, ...Array(8).fill(false)]);
+    const none = decode("s=-AsKd_QhQd");
+    expect(none.players[0]).toMatchObject({ isHero: true, active: true });
+  });
+
+  it("empties repeated, unknown and out-of-deck cards", ()=>{
+    const back = decode("g=shortdeck&s=*As2d_AsZz&b=Ks5c");
+    expect(back.players[0].cards).toEqual(["As", ""]);
+    expect(back.players[1].cards).toEqual(["", ""]);
+    expect(back.board).toEqual(["Ks", "", "", "", ""]);
+  });
+
+  it("falls back to Hold'em for an unknown game", ()=>{
+    expect(decode("g=toString&s=*AsKd").game).toBe("holdem");
+  });
+});
+
+describe("scenario library", ()=>{
+  const list = [newScenario("A", { game: "holdem" }, 1), newScenario("B", { game: "plo4" }, 1)];
+
+  it("renames, updates and removes by id", ()=>{
+    const [a, b] = list;
+    expect(renameScenario(list, a.id, "  ", 2)[0].name).toBe("A");
+    expect(renameScenario(list, a.id, "Flop spot", 2)[0]).toMatchObject({ name: "Flop spot", updatedAt: 2 });
+    expect(updateScenario(list, b.id, { game: "stud" }, 3)[1]).toMatchObject({ setup: { game: "stud" }, updatedAt: 3 });
+    expect(removeScenario(list, a.id)).toEqual([b]);
+  });
+
+  it("numbers duplicates and inserts them after the original", ()=>{
+    const once = duplicateScenario(list, list[0].id);
+    const twice = duplicateScenario(once, list[0].id);
+    expect(twice.map(s=> s.name)).toEqual(["A", "A (copy 2)", "A (copy)", "B"]);
+    expect(once[1].setup).not.toBe(list[0].setup);
+  });
+
+  it("summarises a spot in one line", ()=>{
+    const players = seats(9);
+    players[0].cards = ["As", "Kd"];
+    expect(scenarioSummary({ game: "holdem", stakes: "$2/$5", players, board: ["Ks", "7h", "2c", "", ""] })).toBe("Hold’em $2/$5 • AsKd vs 2 • Ks7h2c");
+  });
+});
@@ -0,0 +1,7 @@
+import { simulateEquity } from "./simulate";
+
+// One message = one chunk of a simulation; the pool merges the chunks.
+self.onmessage = (e)=>{
+  try { self.postMessage({ result: simulateEquity(e.data.opts) }); }
+  catch (err) { self.postMessage({ error: String(err?.message || err) }); }
+};
@@ -0,0 +1,116 @@
+import { simulateEquity, isExactSpot } from "./simulate";
+
+/* ----------------------------- Worker pool ------------------------------- */
+// Simulations are split into chunks that run on a small pool of Web Workers,
+// so the UI thread stays free and partial results can stream back.
+const CHUNK_TRIALS = 500;
+
+const workers = [];
+const idle = [];
+const queue = [];
+
+// Main-thread stand-in for browsers (or tests) without Worker support.
+class InlineWorker {
+  postMessage(msg) {
+    setTimeout(()=>{
+      try { this.onmessage({ data: { result: simulateEquity(msg.opts) } }); }
+      catch (err) { this.onmessage({ data: { error: String(err?.message || err) } }); }
+    });
+  }
+}
+
+function spawn() {
+  const w = typeof Worker === "undefined"
+    ? new InlineWorker()
+    : new Worker(new URL("./sim.worker.js", import.meta.url), { type: "module" });
+  w.onmessage = (e)=>{
+    const task = w.task; w.task = null;
+    idle.push(w);
+    if (e.data.error) task.fail(new Error(e.data.error)); else task.done(e.data.result);
+    pump();
+  };
+  w.onerror = (e)=>{
+    const task = w.task; w.task = null;
+    idle.push(w);
+    task?.fail(new Error(e.message || "Simulation worker failed"));
+    pump();
+  };
+  return w;
+}
+
+function pump() {
+  if (!workers.length) {
+    const size = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency || 2) - 1));
+    for (let i=0;i<size;i++) { const w = spawn(); workers.push(w); idle.push(w); }
+  }
+  while (idle.length && queue.length) {
+    const w = idle.pop();
+    w.task = queue.shift();
+    w.postMessage({ opts: w.task.opts });
+  }
+}
+
+function mergeResults(acc, res) {
+  if (!acc) return { ...res, wins: res.wins.slice(), ties: res.ties.slice() };
+  return {
+    ...acc,
+    wins: acc.wins.map((w,i)=> w + res.wins[i]),
+    ties: acc.ties.map((t,i)=> t + res.ties[i]),
+    trials: acc.trials + res.trials,
+  };
+}
+
+/**
+ * Runs simulateEquity off the main thread. `onProgress(partial, fraction)`
+ * fires after every finished chunk with the merged result so far.
+ * Returns { promise, cancel }; the promise resolves with the final result,
+ * or null if the run was cancelled first.
+ */
+export function runSimulation(opts, { onProgress } = {}) {
+  const trials = opts.trials ?? 5000;
+  const baseSeed = opts.rngSeed ?? 1337;
+  // Exact spots enumerate everything in one go; sampling splits by trials
+  // with a distinct seed per chunk.
+  const chunks = isExactSpot(opts)
+    ? [opts]
+    : Array.from({ length: Math.max(1, Math.ceil(trials / CHUNK_TRIALS)) }, (_,k)=> ({
+        ...opts,
+        trials: Math.min(CHUNK_TRIALS, trials - k*CHUNK_TRIALS),
+        rngSeed: baseSeed + k * 7919,
+      }));
+
+  let cancelled = false;
+  let settle = null;
+  let tasks = [];
+  const promise = new Promise((resolve, reject)=>{
+    settle = resolve;
+    let merged = null, remaining = chunks.length;
+    tasks = chunks.map(c=> ({
+      opts: c,
+      done(res) {
+        if (cancelled) return;
+        merged = mergeResults(merged, res);
+        remaining--;
+        onProgress?.(merged, 1 - remaining / chunks.length);
+        if (!remaining) resolve(merged);
+      },
+      fail(err) {
+        if (cancelled) return;
+        drop(); reject(err);
+      },
+    }));
+    queue.push(...tasks);
+    pump();
+  });
+
+  function drop() {
+    cancelled = true;
+    for (const t of tasks) { const i = queue.indexOf(t); if (i >= 0) queue.splice(i, 1); }
+  }
+  function cancel() {
+    if (cancelled) return;
+    drop(); settle(null);
+  }
+
+  return { promise, cancel };
+}
@@ -0,0 +1,195 @@
+import { makeDeck, RANKS, SHORT_DECK_RANKS } from "./cards";
+import { bestOf7, bestOmaha } from "./evaluator";
+import { parseRange, rangeCombos, isRangeSeat } from "./ranges";
+
+// Cumulative-weight sampler over a seat's combos.
+function weightedPicker(combos, rand) {
+  const cum = [];
+  let total = 0;
+  for (const c of combos) { total += c.w; cum.push(total); }
+  return ()=>{
+    const x = rand() * total;
+    let lo = 0, hi = cum.length - 1;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (cum[mid] > x) hi = mid; else lo = mid + 1; }
+    return combos[lo].cards;
+  };
+}
+
+const holdemValue = (hole, fullBoard)=> bestOf7(hole.concat(fullBoard));
+const shortDeckValue = (hole, fullBoard)=> bestOf7(hole.concat(fullBoard), true);
+
+// Showdown for one runout; a split credits every tied seat.
+function scoreShowdown(holes, fullBoard, wins, ties, weight = 1, handValue = holdemValue) {
+  const n = holes.length;
+  const ranks = holes.map(hole => handValue(hole, fullBoard));
+  let best = ranks[0];
+  for (let i=1;i<n;i++) if (ranks[i] > best) best = ranks[i];
+  const winners = [];
+  for (let i=0;i<n;i++) if (ranks[i] === best) winners.push(i);
+  if (winners.length===1) wins[winners[0]] += weight; else { for (const w of winners) ties[w] += weight; }
+}
+
+function binom(n, k) {
+  if (k < 0 || k > n) return 0;
+  let r = 1;
+  for (let i=1;i<=k;i++) r = r * (n - k + i) / i;
+  return Math.round(r);
+}
+
+function forEachCombo(arr, k, fn, start = 0, acc = []) {
+  if (acc.length === k) { fn(acc); return; }
+  for (let i=start; i<=arr.length-(k-acc.length); i++) {
+    acc.push(arr[i]); forEachCombo(arr, k, fn, i+1, acc); acc.pop();
+  }
+}
+
+/* --------------------------- Exact enumeration --------------------------- */
+// Below this many runouts the sim walks every one instead of sampling.
+// Omaha scores up to 100 five-card hands per seat, so it gets a tenth.
+export const EXACT_THRESHOLD = 50000;
+function exactLimit({ exactThreshold, omaha }) {
+  return exactThreshold ?? (omaha ? EXACT_THRESHOLD / 10 : EXACT_THRESHOLD);
+}
+
+// Upper bound on runouts: range combos × random hole cards × board cards.
+function countRunouts(deckSize, seatCombos, holeNeeded, needBoard) {
+  let left = deckSize, count = 1;
+  for (const c of seatCombos) if (c) { count *= c.length; left -= 2; }
+  for (const need of holeNeeded) { count *= binom(left, need); left -= need; }
+  return count * binom(left, needBoard);
+}
+
+// Walks every combination of unknown cards. Range combos contribute their
+// weight, so wins/ties/trials are weighted sums rather than plain counts.
+function enumerateEquity({ players, board, deck, seatCombos, holeNeeded, needBoard, handValue }) {
+  const n = players.length;
+  const wins = Array(n).fill(0);
+  const ties = Array(n).fill(0);
+  const holes = players.map(p=> p.cards.filter(Boolean));
+  const taken = new Set();
+  let total = 0, runouts = 0;
+
+  const free = ()=> deck.filter(c=>!taken.has(c));
+  function dealBoard(weight) {
+    forEachCombo(free(), needBoard, (extra)=>{
+      scoreShowdown(holes, board.concat(extra), wins, ties, weight, handValue);
+      total += weight; runouts++;
+    });
+  }
+  function dealSeat(si, weight) {
+    if (si === n) return dealBoard(weight);
+    if (seatCombos[si]) {
+      for (const { cards, w } of seatCombos[si]) {
+        if (taken.has(cards[0]) || taken.has(cards[1])) continue;
+        taken.add(cards[0]); taken.add(cards[1]);
+        holes[si] = cards;
+        dealSeat(si+1, weight * w);
+        taken.delete(cards[0]); taken.delete(cards[1]);
+      }
+      return;
+    }
+    if (!holeNeeded[si]) return dealSeat(si+1, weight);
+    const have = players[si].cards.filter(Boolean);
+    forEachCombo(free(), holeNeeded[si], (extra)=>{
+      for (const c of extra) taken.add(c);
+      holes[si] = have.concat(extra);
+      dealSeat(si+1, weight);
+      for (const c of extra) taken.delete(c);
+    });
+  }
+  dealSeat(0, 1);
+  return { wins, ties, trials: total, runouts, exact: true };
+}
+
+/* ---------------------------- Monte Carlo sim ---------------------------- */
+// Deck, range combos and missing cards for a spot; `impossible` when the
+// known cards leave no legal deal. Hold'em deals 2 hole + 5 board cards;
+// Omaha passes holeCards: 4 or 5, Stud holeCards: 7 and boardCards: 0.
+// Short Deck deals from the 36-card deck.
+function prepare({ players, board, dead, holeCards=2, boardCards=5, shortDeck }) {
+  const used = new Set([ ...board, ...dead, ...players.flatMap(p=>p.cards).filter(Boolean) ]);
+  if (shortDeck) for (const c of makeDeck(RANKS.slice(0,4))) used.add(c);
+  const baseDeck = makeDeck(shortDeck ? SHORT_DECK_RANKS : RANKS).filter(c=>!used.has(c));
+  const needBoard = boardCards - board.length;
+  const rangeSeats = players.flatMap((p,i)=> isRangeSeat(p) ? [i] : []);
+  const seatCombos = players.map((p,i)=> rangeSeats.includes(i) ? rangeCombos(parseRange(p.range).weights, used) : null);
+  const holeNeeded = players.map((p,i)=> seatCombos[i] ? 0 : holeCards - p.cards.filter(Boolean).length);
+  const impossible = rangeSeats.some(i=> seatCombos[i].length === 0) ||
+    baseDeck.length < needBoard + holeNeeded.reduce((a,b)=>a+b,0) + 2 * rangeSeats.length;
+  return { baseDeck, needBoard, rangeSeats, seatCombos, holeNeeded, impossible };
+}
+
+// Whether simulateEquity would enumerate this spot rather than sample it.
+export function isExactSpot(opts) {
+  const { baseDeck, seatCombos, holeNeeded, needBoard, impossible } = prepare(opts);
+  return !impossible && countRunouts(baseDeck.length, seatCombos, holeNeeded, needBoard) <= exactLimit(opts);
+}
+
+// Seats with exact cards keep them, range seats draw a weighted combo each
+// trial, and any other empty hole card is dealt uniformly from the deck.
+// Small spots (turn, heads-up flop, known river) are enumerated exactly;
+// pass exactThreshold: 0 to force sampling. `omaha: true` scores hands
+// with the two-from-hand, three-from-board rule; `shortDeck: true` uses the
+// 36-card deck and Short Deck hand rankings.
+export function simulateEquity(opts){
+  const { players, board, trials=5000, rngSeed, omaha, shortDeck } = opts;
+  const handValue = omaha ? bestOmaha : shortDeck ? shortDeckValue : holdemValue;
+  const seed = rngSeed ?? 1337;
+  let s = seed >>> 0;
+  const rand = ()=> (s = (s * 1664525 + 1013904223) >>> 0, s / 2**32);
+
+  const { baseDeck, needBoard, rangeSeats, seatCombos, holeNeeded, impossible } = prepare(opts);
+  const n = players.length;
+  const wins = Array(n).fill(0);
+  const ties = Array(n).fill(0);
+  if (impossible) return { wins, ties, trials: 0, rangeSeats };
+
+  if (countRunouts(baseDeck.length, seatCombos, holeNeeded, needBoard) <= exactLimit(opts)) {
+    const res = enumerateEquity({ players, board, deck: baseDeck, seatCombos, holeNeeded, needBoard, handValue });
+    return { ...res, rangeSeats };
+  }
+
+  const pickers = seatCombos.map(c=> c && weightedPicker(c, rand));
+  const deckArr = baseDeck.slice();
+
+  // Range combos that collide with each other reject the whole trial, so the
+  // joint distribution stays unbiased. Cap attempts for near-exclusive ranges.
+  let done = 0;
+  for (let attempt=0; done<trials && attempt<trials*50; attempt++){
+    const picked = [];
+    const taken = new Set();
+    let clash = false;
+    for (const i of rangeSeats) {
+      const c = pickers[i]();
+      if (taken.has(c[0]) || taken.has(c[1])) { clash = true; break; }
+      taken.add(c[0]); taken.add(c[1]); picked[i] = c;
+    }
+    if (clash) continue;
+
+    const d = taken.size ? deckArr.filter(c=>!taken.has(c)) : deckArr.slice();
+    for (let i=d.length-1; i>0; i--) { const j = Math.floor(rand()*(i+1)); [d[i],d[j]] = [d[j],d[i]]; }
+    let ptr = 0;
+
+    const trialHoles = players.map((p,pi)=>{
+      if (picked[pi]) return picked[pi];
+      const have = p.cards.filter(Boolean);
+      const need = holeNeeded[pi];
+      const extra = d.slice(ptr, ptr+need); ptr += need;
+      return have.concat(extra);
+    });
+
+    const trialBoard = board.slice().concat(d.slice(ptr, ptr+needBoard));
+    ptr += needBoard;
+
+    scoreShowdown(trialHoles, trialBoard, wins, ties, 1, handValue);
+    done++;
+  }
+  return { wins, ties, trials: done, rangeSeats };
+}
+
+// Per-seat equity %, with the results table's approximate tie split.
+export function equityPercents(result) {
+  const total = result?.trials || 0;
+  const tied = result ? result.ties.filter(x=>x>0).length || 1 : 1;
+  return (result?.wins || []).map((w,i)=> total ? (w + result.ties[i]/tied) / total * 100 : 0);
+}
@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { equityPercents, isExactSpot, simulateEquity } from "./simulate";
+import { boardSimSpec, GAMES } from "./games";
+
+const seat = (cards, range)=> ({ cards: cards ? cards.split(" ") : ["", ""], ...(range ? { range } : {}) });
+const spot = (players, board = "", extra = {})=> ({
+  players, board: board ? board.split(" ") : [], dead: [], trials: 4000, ...extra,
+});
+
+describe("exact enumeration", ()=>{
+  it("walks every river when one card is left", ()=>{
+    // Aces vs queens on A-7-2-3: only the two remaining queens lose.
+    const opts = spot([seat("Ah Kh"), seat("Qs Qd")], "Ad 7c 2d 3s");
+    expect(isExactSpot(opts)).toBe(true);
+    const res = simulateEquity(opts);
+    expect(res.exact).toBe(true);
+    expect(res.runouts).toBe(44);
+    expect(res.wins).toEqual([42, 2]);
+  });
+
+  it("credits both seats on a chopped board", ()=>{
+    const res = simulateEquity(spot([seat("2c 3d"), seat("4h 5s")], "Ah Kh Qh Jh Th"));
+    expect(res.wins).toEqual([0, 0]);
+    expect(res.ties).toEqual([1, 1]);
+    expect(equityPercents(res)).toEqual([50, 50]);
+  });
+
+  it("weights range combos by their range weight", ()=>{
+    // Villain is KK at full weight and QQ at half; hero's AA beats both on a
+    // dry river, so each combo counts its weight once.
+    const res = simulateEquity(spot([seat("As Ad"), seat(null, "KK, QQ:0.5")], "2c 7d 9h 3s 4c"));
+    expect(res.exact).toBe(true);
+    expect(res.trials).toBeCloseTo(6 + 6 * 0.5);
+    expect(res.wins[0]).toBeCloseTo(res.trials);
+  });
+
+  it("agrees with sampling where both can run", ()=>{
+    const opts = spot([seat("Ah Kh"), seat("Qs Qd")], "Ad 7c 2h");
+    const exact = equityPercents(simulateEquity(opts));
+    const sampled = equityPercents(simulateEquity({ ...opts, trials: 20000, exactThreshold: 0 }));
+    expect(Math.abs(exact[0] - sampled[0])).toBeLessThan(1.5);
+  });
+
+  it("samples spots above the threshold", ()=>{
+    const opts = spot([seat("As Ad"), seat("Ks Kd")]);
+    expect(isExactSpot(opts)).toBe(false);
+    const res = simulateEquity(opts);
+    expect(res.exact).toBeUndefined();
+    expect(res.trials).toBe(4000);
+    expect(equityPercents(res)[0]).toBeGreaterThan(79);
+    expect(equityPercents(res)[0]).toBeLessThan(85);
+  });
+
+  it("returns no trials when the known cards can't be dealt", ()=>{
+    expect(simulateEquity(spot([seat("As Ad"), seat(null, "AA")], "Ac Ah 2d")).trials).toBe(0);
+  });
+});
+
+describe("Short Deck", ()=>{
+  it("scores a flush over a full house", ()=>{
+    const opts = spot([seat("7h 6h"), seat("9c 8c")], "Ah Jh 8h 9s 9d");
+    expect(simulateEquity(opts).wins).toEqual([0, 1]);
+    expect(simulateEquity({ ...opts, shortDeck: true }).wins).toEqual([1, 0]);
+  });
+
+  it("never deals a card below six", ()=>{
+    const res = simulateEquity(spot([seat("As Ad"), seat()], "Kc 7d 6h 8s", { shortDeck: true }));
+    // 36 cards less the six known: 30 for the villain's two and the river.
+    expect(res.runouts).toBe(30 * 29 / 2 * 28);
+  });
+});
+
+describe("boardSimSpec", ()=>{
+  const table = ()=> Array.from({ length: 9 }, (_, i)=> ({
+    active: i < 2, isHero: i === 0, cards: i === 0 ? ["As", "Ad"] : ["", ""],
+  }));
+
+  it("simulates only the seats still in the hand", ()=>{
+    const spec = boardSimSpec(table(), ["", "", "", "", ""], [], GAMES.holdem);
+    expect(spec.players).toHaveLength(2);
+    expect(spec.seats).toEqual([0, 1]);
+    const eq = equityPercents(simulateEquity({ ...spec, trials: 4000 }))[0];
+    expect(eq).toBeGreaterThan(82);
+    expect(eq).toBeLessThan(88);
+  });
+
+  it("maps rows back to seats and treats folded cards as dead", ()=>{
+    const players = table();
+    players[4] = { active: true, isHero: false, cards: ["", ""] };
+    players[7] = { active: false, isHero: false, cards: ["Kh", "Kc"] };
+    const spec = boardSimSpec(players, ["2c", "", "", "", ""], ["Qd"], GAMES.holdem);
+    expect(spec.seats).toEqual([0, 1, 4]);
+    expect(spec.board).toEqual(["2c"]);
+    expect(spec.dead).toEqual(["Qd", "Kh", "Kc"]);
+  });
+});
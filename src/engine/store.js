@@ -0,0 +1,220 @@
+import { migrateData, readAll, SCHEMA_VERSION, VERSION_KEY } from "./backup";
+import { emptyPlayerDb } from "./players";
+
+/* ------------------------------- IndexedDB -------------------------------- */
+// Everything the app keeps lives in one IndexedDB database. The big, growing
+// collections get an object store each, written record by record; every
+// other psa_* value sits in the "kv" store under its old localStorage key.
+// kv is read into memory before the first render so settings hooks can
+// start synchronously. If IndexedDB can't be opened (some private modes)
+// the app still runs, it just doesn't persist. Failures go into a status
+// the app shows (see useStoreStatus) rather than to the caller.
+//
+// Outside this module data is still the flat { psa_*: value } map that
+// backups use; exportData / importData translate.
+
+const DB_NAME = "poker-stud-app";
+const DB_VERSION = 1;
+const MIGRATED_KEY = "meta:migrated_from_localStorage";
+const SCHEMA_KEY = "meta:schema_version";
+const SEATS_KEY = "psa_player_seats";
+
+const handKey = (h)=> `${h.site}:${h.id}`;
+// "sb/bb" for a parsed hand's stakes: the hands store's stakes index.
+export const handStakesKey = (h)=> h.stakes ? `${h.stakes.sb}/${h.stakes.bb}` : undefined;
+
+/**
+ * Object stores per entity. `key` gives a record's primary key (stored at
+ * `keyPath`), `indexes` map index name → key path, and `derive` adds the
+ * indexed fields a record doesn't carry itself.
+ */
+export const STORES = {
+  sessions: { keyPath: "id", key: (s)=> s.id, indexes: { date: "date", stakes: "stakes", location: "location" } },
+  hands: {
+    keyPath: "key", key: handKey,
+    indexes: { date: "date", stakes: "stakesKey", player: ["playerNames", true] },
+    derive: (h)=> ({ ...h, key: handKey(h), stakesKey: handStakesKey(h), playerNames: (h.seats || []).map(s=> s.name) }),
+  },
+  players: { keyPath: "id", key: (p)=> p.id, indexes: { name: "name", tag: "tag" } },
+  calibration: { keyPath: "at", key: (r)=> r.at, indexes: { date: "at", category: "category", street: "street" } },
+};
+
+// psa_* keys that map onto a record store; psa_player_db is split separately.
+const COLLECTIONS = { psa_sessions: "sessions", psa_hands: "hands", psa_calibration: "calibration" };
+
+let db = null;
+const kv = new Map();
+
+/* ------------------------------ Storage status ----------------------------- */
+// { available, error }: whether there's a database at all, and the latest
+// failed read or write as a message.
+let status = { available: true, error: null };
+const listeners = new Set();
+const setStatus = (patch)=>{ status = { ...status, ...patch }; listeners.forEach(fn=> fn()); };
+
+export const storeStatus = ()=> status;
+export function subscribeStore(fn) {
+  listeners.add(fn);
+  return ()=> listeners.delete(fn);
+}
+export const reportStoreError = (what, err)=> setStatus({ error: `${what}: ${err?.message || err}` });
+export const clearStoreError = ()=> setStatus({ error: null });
+
+const done = (req)=> new Promise((resolve, reject)=>{
+  req.onsuccess = ()=> resolve(req.result);
+  req.onerror = ()=> reject(req.error);
+});
+
+function open() {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = ()=>{
+    const d = req.result;
+    if (!d.objectStoreNames.contains("kv")) d.createObjectStore("kv");
+    for (const [name, def] of Object.entries(STORES)) {
+      if (d.objectStoreNames.contains(name)) continue;
+      const os = d.createObjectStore(name, { keyPath: def.keyPath });
+      for (const [ix, path] of Object.entries(def.indexes)) {
+        const [keyPath, multiEntry] = Array.isArray(path) ? path : [path, false];
+        os.createIndex(ix, keyPath, { multiEntry });
+      }
+    }
+  };
+  return done(req);
+}
+
+// Runs `fn(tx)` in one transaction; resolves with its return value once committed.
+function transact(stores, mode, fn) {
+  if (!db) return Promise.resolve(undefined);
+  return new Promise((resolve, reject)=>{
+    const tx = db.transaction(stores, mode);
+    let out;
+    tx.oncomplete = ()=> resolve(out instanceof IDBRequest ? out.result : out);
+    tx.onerror = tx.onabort = ()=> reject(tx.error);
+    out = fn(tx);
+  });
+}
+
+const toRecord = (store, r)=> STORES[store].derive ? STORES[store].derive(r) : r;
+// Drops the derived fields again so callers get back what they stored.
+const fromRecord = (store, r)=>{
+  if (store !== "hands") return r;
+  const { key: _k, stakesKey: _s, playerNames: _p, ...hand } = r;
+  return hand;
+};
+
+export const recordKey = (store, r)=> STORES[store].key(r);
+
+export async function getAll(store) {
+  const list = await transact([store], "readonly", (tx)=> tx.objectStore(store).getAll());
+  return (list || []).map(r=> fromRecord(store, r));
+}
+
+/** Records whose `index` matches `query` (a value or an IDBKeyRange). */
+async function queryIndex(store, index, query) {
+  const list = await transact([store], "readonly", (tx)=> tx.objectStore(store).index(index).getAll(query));
+  return (list || []).map(r=> fromRecord(store, r));
+}
+
+/**
+ * Saved hands whose players include a name starting with `player` and/or
+ * played at `stakes` ("sb/bb"). The first given criterion is answered by
+ * its index, the other filters the result. May repeat a hand.
+ */
+export async function findHands({ player = "", stakes = "" } = {}) {
+  const list = player
+    ? await queryIndex("hands", "player", IDBKeyRange.bound(player, `${player}\uffff`))
+    : await queryIndex("hands", "stakes", stakes);
+  return list.filter(h=> !stakes || handStakesKey(h) === stakes);
+}
+
+export function writeRecords(store, puts = [], deletes = []) {
+  if (!puts.length && !deletes.length) return Promise.resolve();
+  return transact([store], "readwrite", (tx)=>{
+    const os = tx.objectStore(store);
+    deletes.forEach(k=> os.delete(k));
+    puts.forEach(r=> os.put(toRecord(store, r)));
+  });
+}
+
+/* ----------------------------------- kv ----------------------------------- */
+export const kvHas = (key)=> kv.has(key);
+export const kvGet = (key)=> kv.get(key);
+
+export function kvSet(key, value) {
+  kv.set(key, value);
+  return transact(["kv"], "readwrite", (tx)=>{ tx.objectStore("kv").put(value, key); })
+    .catch(err=> reportStoreError(`Couldn't save ${key}`, err));
+}
+
+/* ------------------------------ Whole dataset ------------------------------ */
+/** Everything, as the flat { psa_*: value } map backups use. */
+export async function exportData() {
+  const data = {};
+  for (const [k, v] of kv) if (k.startsWith("psa_") && k !== SEATS_KEY) data[k] = v;
+  for (const [k, store] of Object.entries(COLLECTIONS)) data[k] = await getAll(store);
+  data.psa_sessions.sort((a,b)=> (b.date || "").localeCompare(a.date || ""));
+  const players = await getAll("players");
+  data.psa_player_db = { players: Object.fromEntries(players.map(p=> [p.id, p])), seats: kv.get(SEATS_KEY) || emptyPlayerDb().seats };
+  return data;
+}
+
+/**
+ * Writes a { psa_*: value } map in a single transaction. With `replace`,
+ * everything not in `data` is deleted first.
+ */
+export function importData(data, replace = false) {
+  const names = ["kv", ...Object.keys(STORES)];
+  const kvWrites = [];
+  return transact(names, "readwrite", (tx)=>{
+    if (replace) {
+      names.forEach(n=> tx.objectStore(n).clear());
+      for (const [k, v] of kv) if (!k.startsWith("psa_")) tx.objectStore("kv").put(v, k);
+    }
+    for (const [k, v] of Object.entries(data)) {
+      if (v === undefined) continue;
+      if (COLLECTIONS[k] && Array.isArray(v)) {
+        const os = tx.objectStore(COLLECTIONS[k]);
+        v.filter(r=> r && recordKey(COLLECTIONS[k], r) != null).forEach(r=> os.put(toRecord(COLLECTIONS[k], r)));
+      } else if (k === "psa_player_db" && v) {
+        const os = tx.objectStore("players");
+        Object.values(v.players || {}).forEach(p=> os.put(p));
+        kvWrites.push([SEATS_KEY, v.seats || emptyPlayerDb().seats]);
+      } else kvWrites.push([k, v]);
+    }
+    kvWrites.forEach(([k, v])=> tx.objectStore("kv").put(v, k));
+  }).then(()=>{
+    if (replace) for (const k of [...kv.keys()]) if (k.startsWith("psa_")) kv.delete(k);
+    kvWrites.forEach(([k, v])=> kv.set(k, v));
+  });
+}
+
+/* --------------------------------- Start-up -------------------------------- */
+/**
+ * Opens the database, loads kv into memory, moves any psa_* localStorage
+ * data over the first time and brings everything up to SCHEMA_VERSION.
+ * Resolves false when IndexedDB isn't available.
+ */
+export async function openStore(storage = globalThis.localStorage) {
+  try { db = await open(); }
+  catch { setStatus({ available: false }); return false; }
+
+  const keys = await transact(["kv"], "readonly", (tx)=> tx.objectStore("kv").getAllKeys());
+  const values = await transact(["kv"], "readonly", (tx)=> tx.objectStore("kv").getAll());
+  keys.forEach((k, i)=> kv.set(k, values[i]));
+
+  if (!kv.has(MIGRATED_KEY) && storage) {
+    const data = readAll(storage);
+    await importData(migrateData(data, Number(storage.getItem(VERSION_KEY)) || 0));
+    await kvSet(MIGRATED_KEY, Date.now());
+    await kvSet(SCHEMA_KEY, SCHEMA_VERSION);
+    Object.keys(data).concat(VERSION_KEY).forEach(k=> storage.removeItem(k));
+  }
+
+  // Data written before the version was recorded here is version 1.
+  const from = kv.get(SCHEMA_KEY) ?? 1;
+  if (from < SCHEMA_VERSION) {
+    await importData(migrateData(await exportData(), from), true);
+    await kvSet(SCHEMA_KEY, SCHEMA_VERSION);
+  }
+  return true;
+}
@@ -0,0 +1,84 @@
+import { RANK_TO_VAL, SUITS } from "./cards";
+import { bestOf7, handCategory, CATEGORY_NAMES } from "./evaluator";
+
+/* --------------------------- Seven Card Stud ----------------------------- */
+export const STUD_SEATS = 8;
+// Card slots per seat in deal order: two down + door card on 3rd street,
+// one up card each on 4th–6th, a down card on 7th.
+export const STUD_SLOTS = ["down","down","up","up","up","up","down"];
+export const STUD_STREETS = [3,4,5,6,7];
+export const STREET_NAMES = { 3:"3rd street", 4:"4th street", 5:"5th street", 6:"6th street", 7:"7th street" };
+
+export function emptyStudSeats() {
+  return Array.from({length:STUD_SEATS}, (_,i)=>({ active: i<STUD_SEATS, isHero: i===0, cards: Array(7).fill("") }));
+}
+
+// On street n a seat has received its first n cards.
+export function upCards(p, street) {
+  return p.cards.slice(0, street).filter((c,i)=> c && STUD_SLOTS[i] === "up");
+}
+
+// Bring-in goes by suit on rank ties: clubs < diamonds < hearts < spades.
+const BRING_IN_SUIT = { c:0, d:1, h:2, s:3 };
+function doorValue(card) { return RANK_TO_VAL[card[0]] * SUITS.length + BRING_IN_SUIT[card[1]]; }
+
+function describeUp(cards) {
+  const v = bestOf7(cards);
+  const cat = handCategory(v);
+  const label = cat ? CATEGORY_NAMES[cat].toLowerCase() : `${cards.map(c=>c[0]).sort((a,b)=>RANK_TO_VAL[b]-RANK_TO_VAL[a])[0]} high`;
+  return `${label}: ${cards.join(" ")}`;
+}
+
+/**
+ * Who acts first on a street and the order around the table after them.
+ * 3rd street: lowest door card brings it in. Later streets: best exposed
+ * hand acts first, ties to the seat nearest the dealer's left.
+ * Returns null until every live seat shows the cards needed to decide.
+ */
+export function actionOrder(players, street) {
+  const live = players.map((p,i)=>({ p, i })).filter(x=>x.p.active);
+  if (live.length < 2) return null;
+  let first;
+  let reason;
+  if (street === 3) {
+    if (live.some(x=>!x.p.cards[2])) return null;
+    first = live.reduce((a,b)=> doorValue(b.p.cards[2]) < doorValue(a.p.cards[2]) ? b : a);
+    reason = `bring-in (${first.p.cards[2]} door card)`;
+  } else {
+    const shown = Math.min(street, 6) - 2;
+    const ups = live.map(x=>({ ...x, up: upCards(x.p, street) }));
+    if (ups.some(x=>x.up.length < shown)) return null;
+    first = ups.reduce((a,b)=> bestOf7(b.up) > bestOf7(a.up) ? b : a);
+    reason = `high hand (${describeUp(first.up)})`;
+  }
+  const seats = live.map(x=>x.i);
+  const start = seats.indexOf(first.i);
+  return { first: first.i, reason, order: seats.slice(start).concat(seats.slice(0, start)) };
+}
+
+/**
+ * Turns the Stud table into simulateEquity options. Folded seats' cards are
+ * dead. When the deck can't give every live seat a 7th-street card, that
+ * card is dealt face up as a single shared community card, per house rules.
+ */
+export function studSimSpec(players, dead) {
+  const live = players.map((p,i)=>({ p, i })).filter(x=>x.p.active);
+  const foldedCards = players.filter(p=>!p.active).flatMap(p=>p.cards).filter(Boolean);
+  const deadAll = [...dead, ...foldedCards];
+  const known = live.reduce((a,x)=> a + x.p.cards.filter(Boolean).length, 0);
+  const missing = live.length * 7 - known;
+  const seats = live.map(x=>x.i);
+  if (missing <= 52 - deadAll.length - known) {
+    return { players: live.map(x=>x.p), seats, board: [], dead: deadAll, holeCards: 7, boardCards: 0 };
+  }
+  const shared = live.map(x=>x.p.cards[6]).find(Boolean);
+  return {
+    players: live.map(x=>({ ...x.p, cards: x.p.cards.slice(0,6) })),
+    seats,
+    board: shared ? [shared] : [],
+    dead: deadAll,
+    holeCards: 6,
+    boardCards: 1,
+    sharedRiver: true,
+  };
+}
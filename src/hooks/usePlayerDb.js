@@ -0,0 +1,30 @@
+import { useCallback, useMemo, useRef } from "react";
+import { emptyPlayerDb } from "../engine/players";
+import useStoredValue from "./useStoredValue";
+import useStoreRecords from "./useStoreRecords";
+
+/* ------------------------------ Player DB hook ----------------------------- */
+// The { players, seats } shape the players engine works on, backed by the
+// "players" store (one record per player) plus the seat map in kv. The
+// engine returns new objects only for players it changed, so an update
+// writes just those. Updates run as record-store updaters, so one made
+// before the players have loaded applies to them once they have.
+export default function usePlayerDb(){
+  const [list, setList] = useStoreRecords("players");
+  const [seats, setSeats] = useStoredValue("psa_player_seats", ()=> emptyPlayerDb().seats);
+  const db = useMemo(()=> ({ players: Object.fromEntries(list.map(p=> [p.id, p])), seats }), [list, seats]);
+  const latestSeats = useRef(seats);
+  latestSeats.current = seats;
+
+  const setDb = useCallback((update)=>{
+    setList(prev=>{
+      const cur = { players: Object.fromEntries(prev.map(p=> [p.id, p])), seats: latestSeats.current };
+      const next = typeof update === "function" ? update(cur) : update;
+      latestSeats.current = next.seats;
+      setSeats(next.seats);
+      return Object.values(next.players);
+    });
+  }, [setList, setSeats]);
+
+  return [db, setDb];
+}
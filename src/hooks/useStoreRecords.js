@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getAll, recordKey, reportStoreError, writeRecords } from "../engine/store";
+
+/* ---------------------------- Record store hook ---------------------------- */
+// An IndexedDB object store as a plain array: [records, setRecords, ready].
+// Records load asynchronously (`ready` flips once they're in). setRecords
+// takes a value or updater like useState; only records that were added,
+// replaced or removed are written, so one edit in thousands stays cheap.
+// Updates made before the load finishes are queued and replayed on top of
+// the loaded records. `sort` orders the initial load and should be stable.
+// Failed loads and writes are reported to the store status.
+export default function useStoreRecords(store, sort){
+  const [records, setState] = useState([]);
+  const [ready, setReady] = useState(false);
+  const current = useRef(records);
+  const loaded = useRef(false);
+  const pending = useRef([]);
+
+  const apply = useCallback((update)=>{
+    const prev = current.current;
+    const next = typeof update === "function" ? update(prev) : update;
+    current.current = next;
+    setState(next);
+    const before = new Map(prev.map(r=> [recordKey(store, r), r]));
+    const keep = new Set(), puts = [];
+    for (const r of next) {
+      const k = recordKey(store, r);
+      keep.add(k);
+      if (before.get(k) !== r) puts.push(r);
+    }
+    const deletes = [...before.keys()].filter(k=> !keep.has(k));
+    writeRecords(store, puts, deletes).catch(err=> reportStoreError(`Couldn't save ${store}`, err));
+  }, [store]);
+
+  useEffect(()=>{
+    let live = true;
+    const finish = (list)=>{
+      if (!live) return;
+      if (sort) list.sort(sort);
+      current.current = list;
+      loaded.current = true;
+      setState(list);
+      setReady(true);
+      const queued = pending.current;
+      pending.current = [];
+      queued.forEach(apply);
+    };
+    getAll(store).then(finish).catch(err=>{ reportStoreError(`Couldn't load ${store}`, err); finish([]); });
+    return ()=>{ live = false; };
+  }, [store, sort, apply]);
+
+  const setRecords = useCallback((update)=>{
+    if (loaded.current) apply(update);
+    else pending.current.push(update);
+  }, [apply]);
+
+  return [records, setRecords, ready];
+}
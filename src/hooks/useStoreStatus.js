@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from "react";
+import { storeStatus, subscribeStore } from "../engine/store";
+
+/* ---------------------------- Store status hook ---------------------------- */
+// { available, error } from the store: whether IndexedDB opened, and the
+// latest load or save that failed.
+export default function useStoreStatus(){
+  return useSyncExternalStore(subscribeStore, storeStatus);
+}
@@ -0,0 +1,16 @@
+import { useEffect, useRef, useState } from "react";
+import { kvGet, kvHas, kvSet } from "../engine/store";
+
+/* ---------------------------- Stored value hook ---------------------------- */
+// A setting or small value kept in the IndexedDB "kv" store. kv is loaded
+// before the first render, so this starts with the saved value; writes go
+// out asynchronously. `initial` may be a function, as with useState.
+export default function useStoredValue(key, initial){
+  const [val, setVal] = useState(()=> kvHas(key) ? kvGet(key) : typeof initial === "function" ? initial() : initial);
+  const skip = useRef(true);
+  useEffect(()=>{
+    if (skip.current) { skip.current = false; return; }
+    kvSet(key, val);
+  }, [key, val]);
+  return [val, setVal];
+}
@@ -1,6 +1,7 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App";
+import { openStore, reportStoreError } from "./engine/store";
 
 // Import the service worker register for PWA
 import { registerSW } from "virtual:pwa-register";
@@ -8,8 +9,14 @@ import { registerSW } from "virtual:pwa-register";
 // Call it once to enable offline + install prompt
 registerSW();
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// Open IndexedDB (moving old localStorage data over on first run) before any
+// component reads settings; render regardless so a storage failure isn't fatal.
+openStore()
+  .catch((err)=> reportStoreError("Storage start-up failed", err))
+  .finally(()=>{
+    ReactDOM.createRoot(document.getElementById("root")).render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
+  });